@@ -0,0 +1,79 @@
+/**
+ * Unrendered app shell detection
+ * Tells whether an HTML page fetched over HTTP is the empty shell of a
+ * JavaScript application (content rendered in the browser), from its visible
+ * text, its <noscript> warnings and the mount points SPA frameworks use.
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { limitDepth } = require('./dom-depth');
+
+// Elements whose text is never shown
+const HIDDEN_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg']);
+
+// Mount points of React, Vue, Angular, Next.js, Nuxt, Gatsby, Svelte...
+const ROOT_IDS = new Set(['root', 'app', '__next', '__nuxt', '___gatsby', 'svelte', 'main-app']);
+const ROOT_ATTRIBUTES = ['ng-app', 'ng-version', 'data-reactroot', 'data-v-app'];
+
+// Below this much visible text a page with an app marker is a shell...
+const SHELL_TEXT_LENGTH = 200;
+// ...and below this much, any page asking for JavaScript
+const NOSCRIPT_TEXT_LENGTH = 500;
+
+const JAVASCRIPT_REQUIRED = /(enable|requires?|turn on|activate|need)\b[^.]{0,40}javascript|javascript[^.]{0,40}(required|disabled|enabled|needed)/i;
+
+function visibleText(node) {
+    if (DomUtils.isTag(node)) {
+        if (HIDDEN_TAGS.has(node.name)) return '';
+        return node.children.map(visibleText).join(' ');
+    }
+    if (DomUtils.isText(node)) return node.data;
+    return (node.children || []).map(visibleText).join(' ');
+}
+
+// Mount point left empty, described as in CSS ("#root", "[ng-app]"), or null
+function emptyMountPoint(dom) {
+    const roots = DomUtils.findAll(node =>
+        ROOT_IDS.has((node.attribs.id || '').toLowerCase()) ||
+        ROOT_ATTRIBUTES.some(name => name in node.attribs), dom.children);
+
+    const empty = roots.find(node => !visibleText(node).trim());
+    if (!empty) return null;
+
+    const attribute = ROOT_ATTRIBUTES.find(name => name in empty.attribs);
+    return empty.attribs.id && !attribute ? `#${empty.attribs.id}` : `[${attribute}]`;
+}
+
+// Why an HTML page looks like an unrendered app shell, or null when it does not
+function shellReason(html) {
+    const dom = limitDepth(parseDocument(html));
+    const body = DomUtils.findOne(node => node.name === 'body', dom.children) || dom;
+    const textLength = visibleText(body).replace(/\s+/g, ' ').trim().length;
+
+    if (textLength >= NOSCRIPT_TEXT_LENGTH) return null;
+
+    const noscript = DomUtils.findAll(node => node.name === 'noscript', dom.children)
+        .map(node => DomUtils.textContent(node))
+        .find(text => JAVASCRIPT_REQUIRED.test(text));
+    if (noscript) {
+        return `<noscript> asks for JavaScript ("${noscript.replace(/\s+/g, ' ').trim().slice(0, 80)}")`;
+    }
+
+    if (textLength >= SHELL_TEXT_LENGTH) return null;
+
+    const mountPoint = emptyMountPoint(dom);
+    if (mountPoint) {
+        return `empty app mount point ${mountPoint} with ${textLength} characters of visible text`;
+    }
+
+    const scripts = DomUtils.findAll(node => node.name === 'script' && 'src' in node.attribs, dom.children).length;
+    if (scripts && textLength < SHELL_TEXT_LENGTH / 4) {
+        return `only ${textLength} characters of visible text, ${scripts} script${scripts > 1 ? 's' : ''} to run`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    shellReason
+};
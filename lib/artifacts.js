@@ -0,0 +1,71 @@
+/**
+ * Page captures
+ * Full-page screenshots (PNG) and printed PDFs of rendered pages, one file per
+ * capture in the artifacts directory, named by a random id so their URLs
+ * cannot be guessed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ARTIFACT_TYPES = {
+    screenshot: { extension: 'png', contentType: 'image/png' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const NAME_PATTERN = /^[0-9a-f]{32}\.(png|pdf)$/;
+
+// Store a capture of the given type (screenshot, pdf). Returns its file name
+function saveArtifact(dir, type, data) {
+    fs.mkdirSync(dir, { recursive: true });
+    const name = `${crypto.randomBytes(16).toString('hex')}.${ARTIFACT_TYPES[type].extension}`;
+    const file = path.join(dir, name);
+    fs.writeFileSync(`${file}.tmp`, data);
+    fs.renameSync(`${file}.tmp`, file);
+    return name;
+}
+
+// { data, contentType } of a stored capture, or null
+function readArtifact(dir, name) {
+    if (!NAME_PATTERN.test(name)) return null;
+
+    const type = Object.values(ARTIFACT_TYPES).find(({ extension }) => name.endsWith(`.${extension}`));
+    try {
+        return { data: fs.readFileSync(path.join(dir, name)), contentType: type.contentType };
+    } catch {
+        return null;
+    }
+}
+
+// Remove the captures stored more than maxAgeMs ago. Returns how many were removed
+function pruneArtifacts(dir, maxAgeMs) {
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch {
+        return 0;
+    }
+
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    for (const name of names) {
+        const file = path.join(dir, name);
+        try {
+            if (fs.statSync(file).mtimeMs < cutoff) {
+                fs.rmSync(file, { force: true });
+                removed++;
+            }
+        } catch {
+            // Removed meanwhile
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    ARTIFACT_TYPES,
+    pruneArtifacts,
+    readArtifact,
+    saveArtifact
+};
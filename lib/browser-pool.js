@@ -0,0 +1,179 @@
+/**
+ * Browser pool
+ * Keeps one launched browser per engine warm between requests and gives every
+ * page its own isolated context. Bounds the pages open at once, relaunches a
+ * browser after a number of uses or when it crashes, and closes everything on
+ * shutdown. Contexts run no service workers and open no WebSockets: neither
+ * goes through page.route, where requests are checked.
+ */
+
+function abortError() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+// WebSockets bypass page.route: every connection is closed before it is made
+function closeWebSocket(ws) {
+    console.log(`🚫 Browser WebSocket refused: ${ws.url()}`);
+    ws.close();
+}
+
+// engines: { name: { type, options } } with a Playwright browser type and its launch options
+// maxPages: pages open at once, across engines; maxUses: pages a browser serves before it is relaunched
+function createBrowserPool({ engines, maxPages, maxUses }) {
+    // engine → { engine, browser (promise), uses, active, launchedAt, closing }
+    const current = new Map();
+    // Browsers past maxUses, closed once their last page is done
+    const retiring = new Set();
+    const waiting = [];
+    const counters = { launched: 0, recycled: 0, crashed: 0 };
+    let activePages = 0;
+    let shutDown = false;
+
+    function launch(engine) {
+        const { type, options } = engines[engine];
+        const entry = { engine, browser: null, uses: 0, active: 0, launchedAt: new Date().toISOString(), closing: false };
+
+        console.log(`🎭 Launching ${engine}`);
+        entry.browser = type.launch(options).then(browser => {
+            counters.launched++;
+            browser.on('disconnected', () => {
+                if (current.get(engine) === entry) current.delete(engine);
+                retiring.delete(entry);
+                if (!entry.closing) {
+                    counters.crashed++;
+                    console.error(`💥 ${engine} disconnected, it will be relaunched`);
+                }
+            });
+            return browser;
+        }, error => {
+            if (current.get(engine) === entry) current.delete(engine);
+            throw error;
+        });
+
+        current.set(engine, entry);
+        return entry;
+    }
+
+    function closeEntry(entry) {
+        entry.closing = true;
+        return entry.browser.then(browser => browser.close()).catch(() => {});
+    }
+
+    // Stop handing out a browser; it is closed when its last page is done
+    function retire(entry) {
+        if (current.get(entry.engine) === entry) current.delete(entry.engine);
+        counters.recycled++;
+        retiring.add(entry);
+    }
+
+    function closeIfRetired(entry) {
+        if (entry.active || !retiring.has(entry)) return;
+        retiring.delete(entry);
+        closeEntry(entry);
+    }
+
+    function acquireSlot(signal) {
+        if (signal && signal.aborted) return Promise.reject(abortError());
+        if (activePages < maxPages) {
+            activePages++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal, onAbort: null };
+            if (signal) {
+                waiter.onAbort = () => {
+                    waiting.splice(waiting.indexOf(waiter), 1);
+                    reject(abortError());
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+            waiting.push(waiter);
+        });
+    }
+
+    // Hand the slot over to the next waiter, if any
+    function releaseSlot() {
+        const waiter = waiting.shift();
+        if (!waiter) {
+            activePages--;
+            return;
+        }
+        if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+        waiter.resolve();
+    }
+
+    // Run fn(page) on a new page of the engine's browser, in a context of its own.
+    // contextOptions are passed to browser.newContext() (service workers are always
+    // blocked); signal gives up waiting for a slot
+    async function withPage(engine, fn, { signal, contextOptions } = {}) {
+        if (shutDown) throw new Error('Browser pool is shut down');
+        await acquireSlot(signal);
+
+        let entry = null;
+        let context = null;
+        try {
+            entry = current.get(engine) || launch(engine);
+            entry.uses++;
+            entry.active++;
+            if (entry.uses >= maxUses) retire(entry);
+
+            const browser = await entry.browser;
+            // Service workers would fetch on their own, outside page.route
+            context = await browser.newContext({ ...contextOptions, serviceWorkers: 'block' });
+            await context.routeWebSocket(/.*/, closeWebSocket);
+            return await fn(await context.newPage());
+        } finally {
+            if (context) await context.close().catch(() => {});
+            if (entry) {
+                entry.active--;
+                closeIfRetired(entry);
+            }
+            releaseSlot();
+        }
+    }
+
+    function stats() {
+        const entries = [...current.values(), ...retiring];
+        return {
+            maxPages,
+            maxUses,
+            activePages,
+            queued: waiting.length,
+            browsers: entries.map(entry => ({
+                engine: entry.engine,
+                uses: entry.uses,
+                activePages: entry.active,
+                launchedAt: entry.launchedAt,
+                retiring: retiring.has(entry)
+            })),
+            ...counters
+        };
+    }
+
+    // Refuse new pages, fail the waiting ones and close every browser
+    async function close() {
+        shutDown = true;
+        for (const waiter of waiting.splice(0)) {
+            if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+            waiter.reject(new Error('Browser pool is shut down'));
+        }
+
+        const entries = [...current.values(), ...retiring];
+        current.clear();
+        retiring.clear();
+        await Promise.all(entries.map(closeEntry));
+    }
+
+    return {
+        close,
+        stats,
+        withPage
+    };
+}
+
+module.exports = {
+    createBrowserPool
+};
@@ -0,0 +1,154 @@
+/**
+ * Extraction cache
+ * Disk store keyed by URL + extraction options. Each entry keeps the raw
+ * response (`<key>.body`), its validators (ETag, Last-Modified) for conditional
+ * revalidation and the extraction result (`<key>.json`). The modification time
+ * of `<key>.json` is when the entry was last used, for least-recently-used pruning.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Options that change the extraction result
+const KEY_OPTIONS = ['format', 'mode', 'metadataHeader', 'collectLinks', 'render', 'strategy', 'engine', 'includeSelectors', 'excludeSelectors'];
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+function cacheKey(url, options) {
+    const keyOptions = KEY_OPTIONS.map(name => [name, options[name] === undefined ? null : options[name]]);
+    return crypto.createHash('sha256').update(JSON.stringify([url, keyOptions])).digest('hex');
+}
+
+function isCacheKey(key) {
+    return KEY_PATTERN.test(key);
+}
+
+function entryFiles(dir, key) {
+    return {
+        meta: path.join(dir, `${key}.json`),
+        body: path.join(dir, `${key}.body`)
+    };
+}
+
+function writeAtomic(file, data) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, data);
+    fs.renameSync(temporary, file);
+}
+
+// Stored entry (without the raw body), or null
+function readEntry(dir, key) {
+    try {
+        return JSON.parse(fs.readFileSync(entryFiles(dir, key).meta, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function readBody(dir, key) {
+    try {
+        return fs.readFileSync(entryFiles(dir, key).body);
+    } catch {
+        return null;
+    }
+}
+
+// Store an entry; body is the raw response (omitted when only the metadata changed)
+function writeEntry(dir, entry, body) {
+    fs.mkdirSync(dir, { recursive: true });
+    const files = entryFiles(dir, entry.key);
+    if (body) {
+        writeAtomic(files.body, body);
+        entry.size = body.length;
+    }
+    writeAtomic(files.meta, JSON.stringify(entry));
+}
+
+function deleteEntry(dir, key) {
+    const files = entryFiles(dir, key);
+    const existed = fs.existsSync(files.meta);
+    fs.rmSync(files.meta, { force: true });
+    fs.rmSync(files.body, { force: true });
+    return existed;
+}
+
+// Mark an entry as used now
+function touchEntry(dir, key) {
+    const now = new Date();
+    try {
+        fs.utimesSync(entryFiles(dir, key).meta, now, now);
+    } catch {
+        // Removed meanwhile
+    }
+}
+
+// Remove the least recently used entries until at most maxEntries entries of
+// at most maxBytes bytes in all are left. Returns how many were removed
+function pruneEntries(dir, { maxEntries, maxBytes }) {
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch {
+        return 0;
+    }
+
+    const entries = [];
+    for (const name of names) {
+        const key = name.slice(0, -5);
+        if (!name.endsWith('.json') || !isCacheKey(key)) continue;
+
+        const files = entryFiles(dir, key);
+        try {
+            const meta = fs.statSync(files.meta);
+            const body = fs.statSync(files.body, { throwIfNoEntry: false });
+            entries.push({ key, size: meta.size + (body ? body.size : 0), usedAt: meta.mtimeMs });
+        } catch {
+            // Removed meanwhile
+        }
+    }
+
+    // Most recently used first: keep entries while they fit
+    entries.sort((a, b) => b.usedAt - a.usedAt);
+    let kept = 0;
+    let bytes = 0;
+    let removed = 0;
+    for (const entry of entries) {
+        if (kept < maxEntries && bytes + entry.size <= maxBytes) {
+            kept++;
+            bytes += entry.size;
+        } else {
+            deleteEntry(dir, entry.key);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+// Every entry, without results
+function listEntries(dir) {
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch {
+        return [];
+    }
+
+    return names
+        .filter(name => name.endsWith('.json'))
+        .map(name => readEntry(dir, name.slice(0, -5)))
+        .filter(Boolean)
+        .map(({ result, ...entry }) => entry);
+}
+
+module.exports = {
+    cacheKey,
+    deleteEntry,
+    isCacheKey,
+    listEntries,
+    pruneEntries,
+    readBody,
+    readEntry,
+    touchEntry,
+    writeEntry
+};
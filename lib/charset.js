@@ -0,0 +1,95 @@
+/**
+ * Response body decoding
+ * Picks the character encoding from the Content-Type charset, then from
+ * <meta charset> / http-equiv (or an XML declaration) in the first bytes of the
+ * document, then from a byte order mark, and falls back to UTF-8.
+ * Decoding relies on the WHATWG TextDecoder shipped with Node (full ICU),
+ * except for windows-1252 (see decodeWindows1252).
+ */
+
+// How far into the document <meta charset> is looked for
+const SNIFF_LENGTH = 4096;
+
+const BOMS = [
+    { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+    { bytes: [0xFE, 0xFF], encoding: 'utf-16be' },
+    { bytes: [0xFF, 0xFE], encoding: 'utf-16le' }
+];
+
+// Canonical WHATWG encoding name for a label, or null when unsupported
+function normalizeEncoding(label) {
+    if (!label) return null;
+    try {
+        return new TextDecoder(label.trim().replace(/^["']|["']$/g, '')).encoding;
+    } catch {
+        return null;
+    }
+}
+
+// Characters of bytes 0x80-0x9F in windows-1252 (the other bytes are Latin-1);
+// the five bytes it leaves undefined stay C1 controls, as in the WHATWG encoding
+const WINDOWS_1252_HIGH = [
+    0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+    0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+].map(codePoint => String.fromCharCode(codePoint));
+
+// windows-1252 (also what the latin1 and iso-8859-1 labels mean on the web).
+// Node's TextDecoder decodes 0x80-0x9F as C1 controls instead of € ’ “ ” œ...
+function decodeWindows1252(buffer) {
+    return buffer.toString('latin1').replace(/[\x80-\x9F]/g, char => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]);
+}
+
+function charsetFromContentType(contentType) {
+    const match = (contentType || '').match(/charset\s*=\s*["']?([^"';\s]+)/i);
+    return match ? match[1] : null;
+}
+
+function charsetFromMarkup(buffer) {
+    const head = buffer.subarray(0, SNIFF_LENGTH).toString('latin1');
+
+    const metaCharset = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([^"'\s/>;]+)/i);
+    if (metaCharset) return metaCharset[1];
+
+    const xmlDeclaration = head.match(/^\s*<\?xml[^>]+encoding\s*=\s*["']([^"']+)["']/i);
+    if (xmlDeclaration) return xmlDeclaration[1];
+
+    return null;
+}
+
+function charsetFromBom(buffer) {
+    const bom = BOMS.find(candidate => candidate.bytes.every((byte, i) => buffer[i] === byte));
+    return bom ? bom.encoding : null;
+}
+
+// Decode a response body, reporting the encoding used and where it came from
+function decodeBody(buffer, contentType) {
+    const candidates = [
+        { source: 'header', label: charsetFromContentType(contentType) },
+        { source: 'meta', label: charsetFromMarkup(buffer) },
+        { source: 'bom', label: charsetFromBom(buffer) }
+    ];
+
+    let encoding = 'utf-8';
+    let source = 'default';
+    for (const candidate of candidates) {
+        let normalized = normalizeEncoding(candidate.label);
+        // A UTF-16 label inside the markup itself can only be wrong (the markup was read as ASCII)
+        if (normalized && candidate.source === 'meta' && normalized.startsWith('utf-16')) {
+            normalized = 'utf-8';
+        }
+        if (normalized) {
+            encoding = normalized;
+            source = candidate.source;
+            break;
+        }
+    }
+
+    // TextDecoder strips a BOM matching the encoding
+    const text = encoding === 'windows-1252' ? decodeWindows1252(buffer) : new TextDecoder(encoding).decode(buffer);
+
+    return { text, encoding, source };
+}
+
+module.exports = {
+    decodeBody
+};
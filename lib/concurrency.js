@@ -0,0 +1,25 @@
+/**
+ * Bounded concurrency helper
+ * Runs an async function over a list with at most `limit` calls in flight,
+ * keeping results in input order.
+ */
+
+async function mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = {
+    mapConcurrent
+};
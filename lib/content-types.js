@@ -0,0 +1,115 @@
+/**
+ * Content type detection
+ * Decides which extractor handles a response, from its Content-Type header,
+ * the URL extension and the first bytes of the body (servers often send
+ * application/octet-stream or a wrong type for documents).
+ */
+
+const path = require('path');
+const { isZip, readEntries, readEntry } = require('./zip');
+
+const MIME_KINDS = {
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'application/pdf': 'pdf',
+    'application/x-pdf': 'pdf',
+    'text/plain': 'text',
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown',
+    'application/json': 'json',
+    'text/json': 'json',
+    'application/xml': 'xml',
+    'text/xml': 'xml',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.oasis.opendocument.text': 'odt'
+};
+
+const EXTENSION_KINDS = {
+    '.html': 'html',
+    '.htm': 'html',
+    '.xhtml': 'html',
+    '.pdf': 'pdf',
+    '.txt': 'text',
+    '.text': 'text',
+    '.log': 'text',
+    '.csv': 'text',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.json': 'json',
+    '.xml': 'xml',
+    '.docx': 'docx',
+    '.odt': 'odt'
+};
+
+// The MIME type a detected kind is reported as
+const KIND_MIME_TYPES = {
+    html: 'text/html',
+    pdf: 'application/pdf',
+    text: 'text/plain',
+    markdown: 'text/markdown',
+    json: 'application/json',
+    xml: 'application/xml',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    odt: 'application/vnd.oasis.opendocument.text'
+};
+
+function mimeType(contentType) {
+    return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function urlExtension(url) {
+    try {
+        return path.extname(new URL(url).pathname).toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+// Word processing archives are told apart by their content
+function zipKind(body) {
+    try {
+        const entries = readEntries(body);
+        if (entries.has('word/document.xml')) return 'docx';
+        const mimetype = readEntry(body, entries, 'mimetype');
+        if (mimetype && mimetype.toString('ascii').trim() === KIND_MIME_TYPES.odt) return 'odt';
+    } catch {
+        // Not a readable archive
+    }
+    return null;
+}
+
+function sniffText(body) {
+    const head = body.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (/^<!doctype html|^<html|^<head|^<body/i.test(head)) return 'html';
+    if (/^<\?xml|^<rss|^<feed/i.test(head)) return 'xml';
+    if (/^[{[]/.test(head)) return 'json';
+    // Control characters other than whitespace: binary data
+    if (/[\x00-\x08\x0E-\x1A]/.test(head)) return null;
+    return head.startsWith('<') ? 'html' : 'text';
+}
+
+// Kind of a response: html, pdf, text, markdown, json, xml, docx, odt, or null when unsupported
+function detectKind(contentType, url, body) {
+    const mime = mimeType(contentType);
+    const extension = urlExtension(url);
+
+    if (body.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (isZip(body)) return zipKind(body);
+
+    if (mime === 'text/plain' && EXTENSION_KINDS[extension] === 'markdown') return 'markdown';
+    if (MIME_KINDS[mime]) return MIME_KINDS[mime];
+    if (mime.endsWith('+json')) return 'json';
+    if (mime.endsWith('+xml')) return 'xml';
+    if (EXTENSION_KINDS[extension]) return EXTENSION_KINDS[extension];
+
+    if (!mime || mime === 'application/octet-stream' || mime.startsWith('text/')) {
+        return sniffText(body);
+    }
+    return null;
+}
+
+module.exports = {
+    KIND_MIME_TYPES,
+    detectKind,
+    mimeType
+};
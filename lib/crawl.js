@@ -0,0 +1,107 @@
+/**
+ * Same-site crawler
+ * Breadth-first walk from a seed URL following same-origin (or allow-listed)
+ * links, bounded by depth and a page budget, with include/exclude patterns and
+ * URL normalization so every page is visited once.
+ */
+
+const { mapConcurrent } = require('./concurrency');
+const { compilePatterns, normalizeUrl, toList } = require('./url-utils');
+
+// Links to files no extractor handles
+const SKIPPED_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|svg|ico|bmp|tiff?|mp[34]|m4[av]|webm|ogg|wav|avi|mov|zip|gz|tgz|rar|7z|tar|exe|dmg|msi|apk|iso|woff2?|ttf|eot|css|js)$/i;
+
+// Origins a crawl may follow links to: the seed's plus the allow-list
+// (given as origins, URLs or bare host names)
+// Returns { allows(url), admit(url) }, admit adding the origin of a URL
+function allowedOrigins(seedUrl, allowList) {
+    const origins = new Set([new URL(seedUrl).origin]);
+    const hosts = new Set();
+
+    for (const entry of toList(allowList)) {
+        try {
+            origins.add(new URL(entry).origin);
+        } catch {
+            hosts.add(String(entry).toLowerCase());
+        }
+    }
+    return {
+        allows: url => {
+            const parsed = new URL(url);
+            return origins.has(parsed.origin) || hosts.has(parsed.hostname);
+        },
+        admit: url => origins.add(new URL(url).origin)
+    };
+}
+
+// Crawl from seedUrl.
+// options: { maxDepth, maxPages, include, exclude, allowOrigins, concurrency }
+// visit(url, depth) resolves { result, links } for a page and may throw; every
+// page, successful or not, is reported as { url, depth, ...result, timing }
+// Resolves { pages, truncated } where truncated tells the page budget was hit
+async function crawl(seedUrl, options, visit) {
+    const { maxDepth, maxPages, concurrency } = options;
+    const includes = compilePatterns(options.include);
+    const excludes = compilePatterns(options.exclude);
+    const allowed = allowedOrigins(seedUrl, options.allowOrigins);
+
+    const seed = normalizeUrl(seedUrl);
+    const seen = new Set([seed]);
+    const pages = [];
+    let level = [seed];
+    let truncated = false;
+
+    function follows(url) {
+        if (!allowed.allows(url) || SKIPPED_EXTENSIONS.test(new URL(url).pathname)) return false;
+        if (includes.length && !includes.some(matches => matches(url))) return false;
+        return !excludes.some(matches => matches(url));
+    }
+
+    for (let depth = 0; level.length && depth <= maxDepth; depth++) {
+        const budget = maxPages - pages.length;
+        if (level.length > budget) {
+            level = level.slice(0, budget);
+            truncated = true;
+        }
+
+        const visited = await mapConcurrent(level, concurrency, async url => {
+            const startedAt = new Date();
+            const timing = () => ({ startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime() });
+
+            try {
+                const { result, links } = await visit(url, depth);
+                return { page: { url, depth, ...result, timing: timing() }, links };
+            } catch (error) {
+                return { page: { url, depth, success: false, error: error.message, timing: timing() }, links: [] };
+            }
+        });
+
+        const next = [];
+        for (const { page, links } of visited) {
+            pages.push(page);
+            // A redirect target is not visited again under its own URL; the site
+            // the seed redirects to (http → https, apex → www) is crawled as the seed's
+            if (page.finalUrl) {
+                seen.add(normalizeUrl(page.finalUrl));
+                if (depth === 0) allowed.admit(page.finalUrl);
+            }
+            if (depth === maxDepth) continue;
+
+            for (const link of links) {
+                const url = normalizeUrl(link);
+                if (!url || seen.has(url) || !follows(url)) continue;
+                seen.add(url);
+                next.push(url);
+            }
+        }
+
+        if (pages.length >= maxPages && next.length) truncated = true;
+        level = pages.length >= maxPages ? [] : next;
+    }
+
+    return { pages, truncated };
+}
+
+module.exports = {
+    crawl
+};
@@ -0,0 +1,128 @@
+/**
+ * Outbound destination policy (SSRF protection)
+ * Blocks requests to loopback, link-local, private, shared, multicast and
+ * reserved addresses (cloud metadata endpoints included), IPv4 and IPv6, unless
+ * the host or address is on the allow-list. Addresses are checked once the
+ * hostname is resolved, so a public name pointing inside is caught too.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Blocked ranges by kind, named in the error message
+const BLOCKED_RANGES = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    unspecified: ['0.0.0.0/8', '::/128'],
+    'link-local': ['169.254.0.0/16', 'fe80::/10'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+    shared: ['100.64.0.0/10'],
+    reserved: ['192.0.0.0/24', '192.0.2.0/24', '198.18.0.0/15', '198.51.100.0/24', '203.0.113.0/24', '240.0.0.0/4', '2001:db8::/32'],
+    multicast: ['224.0.0.0/4', 'ff00::/8']
+};
+
+const blockLists = Object.entries(BLOCKED_RANGES).map(([kind, ranges]) => {
+    const list = new net.BlockList();
+    for (const range of ranges) {
+        const [address, prefix] = range.split('/');
+        list.addSubnet(address, parseInt(prefix, 10), net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+    return { kind, list };
+});
+
+// IPv4 address embedded in an IPv4-mapped (::ffff:a.b.c.d) or NAT64 (64:ff9b::a.b.c.d) address
+function embeddedIPv4(address) {
+    const match = address.toLowerCase().match(/^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (!match) return null;
+    if (match[1]) return match[1];
+
+    const high = parseInt(match[2], 16);
+    const low = parseInt(match[3], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function blockedKind(address) {
+    const ipv4 = net.isIPv4(address) ? address : embeddedIPv4(address);
+    const [ip, family] = ipv4 ? [ipv4, 'ipv4'] : [address, 'ipv6'];
+    const blocked = blockLists.find(({ list }) => list.check(ip, family));
+    return blocked ? blocked.kind : null;
+}
+
+// Compile the allow-list: host names (`intranet.example`, `*.corp.example`),
+// addresses and CIDR ranges (`10.1.0.0/16`)
+function createPolicy(allowList = []) {
+    const hosts = new Set();
+    const suffixes = [];
+    const addresses = new net.BlockList();
+
+    for (const entry of allowList.map(item => item.trim().toLowerCase()).filter(Boolean)) {
+        const [address, prefix] = entry.split('/');
+        if (net.isIP(address)) {
+            const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+            if (prefix) {
+                addresses.addSubnet(address, parseInt(prefix, 10), family);
+            } else {
+                addresses.addAddress(address, family);
+            }
+        } else if (entry.startsWith('*.')) {
+            suffixes.push(entry.slice(1));
+        } else {
+            hosts.add(entry);
+        }
+    }
+
+    return {
+        allowsHost: hostname => hosts.has(hostname) || suffixes.some(suffix => hostname.endsWith(suffix)),
+        allowsAddress: address => addresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+    };
+}
+
+function blockedError(hostname, address, kind) {
+    const target = hostname === address ? address : `${hostname} (${address})`;
+    const error = new Error(`Destination not allowed: ${target} is a ${kind} address`);
+    error.statusCode = 403;
+    error.code = 'EDESTINATION';
+    return error;
+}
+
+// Throws when a resolved address of hostname is blocked
+function checkAddress(policy, hostname, address) {
+    if (policy.allowsHost(hostname) || policy.allowsAddress(address)) return;
+    const kind = blockedKind(address);
+    if (kind) throw blockedError(hostname, address, kind);
+}
+
+// URL hostname without the brackets of IPv6 literals
+function urlHost(url) {
+    return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+}
+
+// Synchronous check of a URL whose host is an address literal
+// (literals never go through the lookup below)
+function checkLiteralUrl(policy, url) {
+    const hostname = urlHost(url);
+    if (net.isIP(hostname)) checkAddress(policy, hostname, hostname);
+}
+
+// dns.lookup replacement for http(s).request: the connection is refused when the
+// name resolves to a blocked address, so the check and the connection use the same answer
+function guardedLookup(policy) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+
+            try {
+                const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+                addresses.forEach(resolved => checkAddress(policy, hostname.toLowerCase(), resolved));
+            } catch (blocked) {
+                return callback(blocked);
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+module.exports = {
+    checkLiteralUrl,
+    createPolicy,
+    guardedLookup
+};
@@ -0,0 +1,59 @@
+/**
+ * DOM depth limit
+ * Pages can nest elements thousands deep (unclosed <font> tags, generated
+ * <span> soup). The extractors and renderers walk trees recursively, so
+ * elements past a fixed depth are flattened: their descendants become one flat
+ * list of text nodes and innermost elements, in document order.
+ */
+
+const { DomUtils } = require('htmlparser2');
+
+const MAX_DEPTH = 256;
+
+// Text nodes and elements without child elements under node, in document order
+function flatDescendants(node) {
+    const flat = [];
+    const stack = [...node.children].reverse();
+
+    while (stack.length) {
+        const child = stack.pop();
+        if (DomUtils.isTag(child) && child.children.some(DomUtils.isTag)) {
+            for (let i = child.children.length - 1; i >= 0; i--) stack.push(child.children[i]);
+        } else {
+            flat.push(child);
+        }
+    }
+    return flat;
+}
+
+function replaceChildren(node, children) {
+    children.forEach((child, index) => {
+        child.parent = node;
+        child.prev = children[index - 1] || null;
+        child.next = children[index + 1] || null;
+    });
+    node.children = children;
+}
+
+// Flatten the elements of a parsed document deeper than maxDepth (without recursion)
+// Returns the document, changed in place
+function limitDepth(dom, maxDepth = MAX_DEPTH) {
+    const stack = [[dom, 0]];
+
+    while (stack.length) {
+        const [node, depth] = stack.pop();
+        if (!node.children) continue;
+
+        if (depth >= maxDepth && node.children.some(child => DomUtils.isTag(child) && child.children.some(DomUtils.isTag))) {
+            replaceChildren(node, flatDescendants(node));
+            continue;
+        }
+        for (const child of node.children) stack.push([child, depth + 1]);
+    }
+    return dom;
+}
+
+module.exports = {
+    MAX_DEPTH,
+    limitDepth
+};
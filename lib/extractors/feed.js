@@ -0,0 +1,45 @@
+/**
+ * RSS and Atom feed extractor
+ * Lists the items of a feed read by lib/feed.js: one linked heading per item,
+ * followed by its date, author and summary.
+ */
+
+const { emptyMetadata } = require('../metadata');
+const { fileName } = require('../url-utils');
+
+function itemBlocks(item) {
+    const title = [{ type: 'text', value: item.title || item.link || 'Untitled' }];
+    const blocks = [{
+        type: 'heading',
+        level: 2,
+        children: item.link ? [{ type: 'link', href: item.link, title: '', children: title }] : title
+    }];
+
+    const details = [item.published, item.author].filter(Boolean).join(' · ');
+    if (details) blocks.push({ type: 'paragraph', children: [{ type: 'emphasis', children: [{ type: 'text', value: details }] }] });
+    if (item.summary) blocks.push({ type: 'paragraph', children: [{ type: 'text', value: item.summary }] });
+
+    return blocks;
+}
+
+function extractFeed(feed, url) {
+    const title = feed.title || fileName(url);
+
+    return {
+        title,
+        description: feed.description,
+        url,
+        metadata: emptyMetadata({
+            title,
+            description: feed.description,
+            canonical: feed.link,
+            modifiedTime: feed.updated,
+            type: feed.type
+        }),
+        blocks: feed.items.flatMap(itemBlocks)
+    };
+}
+
+module.exports = {
+    extractFeed
+};
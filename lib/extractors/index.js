@@ -0,0 +1,101 @@
+/**
+ * Extraction dispatch by content type
+ * Picks the extractor for a fetched resource (HTML, PDF, plain text, Markdown,
+ * JSON, RSS/Atom feeds, XML, DOCX, ODT), builds the document model and renders it.
+ */
+
+const { buildDocument } = require('../html-extractor');
+const { decodeBody } = require('../charset');
+const { KIND_MIME_TYPES, detectKind, mimeType } = require('../content-types');
+const { readFeed } = require('../feed');
+const renderers = require('../renderers');
+const { extractPlainText, extractMarkdown, extractJson } = require('./text');
+const { extractXml } = require('./xml');
+const { extractFeed } = require('./feed');
+const { extractPdf } = require('./pdf');
+const { extractDocx, extractOdt } = require('./office');
+
+// Extractors working on decoded text
+const TEXT_EXTRACTORS = {
+    html: (text, url, options) => buildDocument(text, url, options),
+    text: extractPlainText,
+    markdown: extractMarkdown,
+    json: extractJson,
+    xml: extractXml
+};
+
+// Extractors working on raw bytes
+const BINARY_EXTRACTORS = {
+    pdf: extractPdf,
+    docx: extractDocx,
+    odt: extractOdt
+};
+
+const FEED_MIME_TYPES = {
+    rss: 'application/rss+xml',
+    rdf: 'application/rdf+xml',
+    atom: 'application/atom+xml'
+};
+
+function unsupportedContentType(contentType) {
+    const error = new Error(`Unsupported content type: ${mimeType(contentType) || 'unknown'}`);
+    error.statusCode = 415;
+    return error;
+}
+
+// Extract a fetched resource.
+// resource: { body, contentType } from an HTTP fetch, or { html, encoding } from the browser
+// Resolves { document, content, contentType, extractor, encoding, encodingSource, warnings },
+// plus feed ({ type, title, itemCount }) when the resource is an RSS or Atom feed
+async function extractResource(resource, url, options = {}) {
+    const { format = 'text' } = options;
+    const result = {};
+
+    if (typeof resource.html === 'string') {
+        // Rendered by the browser: always an HTML page, already decoded
+        result.document = buildDocument(resource.html, url, options);
+        result.extractor = 'html';
+        result.contentType = KIND_MIME_TYPES.html;
+        result.encoding = resource.encoding;
+        result.encodingSource = 'browser';
+    } else {
+        const kind = detectKind(resource.contentType, url, resource.body);
+        if (!kind) throw unsupportedContentType(resource.contentType);
+
+        result.extractor = kind;
+        result.contentType = KIND_MIME_TYPES[kind];
+
+        if (BINARY_EXTRACTORS[kind]) {
+            result.document = await BINARY_EXTRACTORS[kind](resource.body, url, options);
+        } else {
+            const decoded = decodeBody(resource.body, resource.contentType);
+            const feed = kind === 'xml' ? readFeed(decoded.text, url) : null;
+
+            if (feed) {
+                // Feeds are listed item by item instead of as an XML outline
+                result.document = extractFeed(feed, url);
+                result.extractor = 'feed';
+                result.contentType = FEED_MIME_TYPES[feed.type];
+                result.feed = { type: feed.type, title: feed.title, itemCount: feed.items.length };
+            } else {
+                result.document = TEXT_EXTRACTORS[kind](decoded.text, url, options);
+            }
+            result.encoding = decoded.encoding;
+            result.encodingSource = decoded.source;
+        }
+    }
+
+    // Warnings are reported next to the result, not in the document
+    result.warnings = result.document.warnings || [];
+    delete result.document.warnings;
+    if ((options.includeSelectors || options.excludeSelectors) && result.extractor !== 'html') {
+        result.warnings.push('includeSelectors and excludeSelectors only apply to HTML pages');
+    }
+
+    result.content = renderers.render(result.document, format, options);
+    return result;
+}
+
+module.exports = {
+    extractResource
+};
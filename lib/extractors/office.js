@@ -0,0 +1,448 @@
+/**
+ * Office document extractors (DOCX and ODT)
+ * Both formats are ZIP archives of XML parts; their paragraphs, headings,
+ * lists, tables and links are mapped onto the same document model as HTML.
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { readEntries, readEntry } = require('../zip');
+const { emptyMetadata } = require('../metadata');
+const { fileName, resolveUrl } = require('../url-utils');
+const { limitDepth } = require('../dom-depth');
+
+// Deepest list level: Word numbering defines levels 0 to 8, and deeper ODT
+// lists are laid out at this level
+const MAX_LIST_LEVEL = 8;
+
+function parseXml(buffer) {
+    return buffer ? limitDepth(parseDocument(buffer.toString('utf8'), { xmlMode: true })) : null;
+}
+
+function listLevel(level) {
+    return Math.min(Math.max(level, 0), MAX_LIST_LEVEL);
+}
+
+function childElements(node, name) {
+    return node.children.filter(child => DomUtils.isTag(child) && (!name || child.name === name));
+}
+
+function firstChild(node, name) {
+    return childElements(node, name)[0] || null;
+}
+
+function firstElement(node, name) {
+    return node ? DomUtils.findOne(el => el.name === name, node.children) : null;
+}
+
+function elementText(node, name) {
+    const el = firstElement(node, name);
+    return el ? DomUtils.textContent(el).replace(/\s+/g, ' ').trim() : '';
+}
+
+// Merge adjacent text nodes and drop leading/trailing whitespace of a paragraph
+function tidyInlines(nodes) {
+    const out = [];
+    for (const node of nodes) {
+        const previous = out[out.length - 1];
+        if (node.type === 'text' && previous && previous.type === 'text') {
+            previous.value += node.value;
+        } else {
+            out.push(node);
+        }
+    }
+    if (out.length && out[0].type === 'text') out[0].value = out[0].value.trimStart();
+    const last = out[out.length - 1];
+    if (last && last.type === 'text') last.value = last.value.trimEnd();
+    return out.filter(node => node.type !== 'text' || node.value);
+}
+
+function hasText(nodes) {
+    return nodes.some(node => node.type !== 'text' || node.value.trim());
+}
+
+// Group { level, blocks } list entries into nested list blocks
+function nestList(entries) {
+    const root = { type: 'list', ordered: false, items: [] };
+    const stack = [root];
+
+    for (const entry of entries) {
+        const level = listLevel(entry.level);
+        while (stack.length > level + 1) stack.pop();
+        while (stack.length < level + 1) {
+            const parent = stack[stack.length - 1];
+            if (!parent.items.length) parent.items.push({ blocks: [] });
+            const nested = { type: 'list', ordered: false, items: [] };
+            parent.items[parent.items.length - 1].blocks.push(nested);
+            stack.push(nested);
+        }
+        stack[stack.length - 1].items.push({ blocks: entry.blocks });
+    }
+
+    return root;
+}
+
+// Build blocks from a sequence of { block } and { listEntry } results
+function collectBlocks(results) {
+    const blocks = [];
+    let listEntries = [];
+
+    const flush = () => {
+        if (listEntries.length) blocks.push(nestList(listEntries));
+        listEntries = [];
+    };
+
+    for (const result of results) {
+        if (result.listEntry) {
+            listEntries.push(result.listEntry);
+        } else {
+            flush();
+            blocks.push(result.block);
+        }
+    }
+    flush();
+
+    return blocks;
+}
+
+function tableBlock(head, body) {
+    const width = Math.max(0, ...head.concat(body).map(row => row.length));
+    if (!width) return null;
+    const pad = row => Array.from({ length: width }, (_, i) => row[i] || { children: [] });
+    return { type: 'table', head: head.map(pad), body: body.map(pad) };
+}
+
+// --- DOCX (Office Open XML) ---
+
+function isOn(el) {
+    if (!el) return false;
+    const value = el.attribs['w:val'];
+    return value === undefined || !['0', 'false', 'off', 'none'].includes(value);
+}
+
+function docxInlines(node, ctx) {
+    const inlines = [];
+
+    for (const child of childElements(node)) {
+        switch (child.name) {
+            case 'w:r': {
+                const properties = firstChild(child, 'w:rPr');
+                let runs = [];
+                for (const part of childElements(child)) {
+                    if (part.name === 'w:t') runs.push({ type: 'text', value: DomUtils.textContent(part) });
+                    else if (part.name === 'w:tab') runs.push({ type: 'text', value: ' ' });
+                    else if (part.name === 'w:br' || part.name === 'w:cr') runs.push({ type: 'break' });
+                }
+                if (properties && isOn(firstChild(properties, 'w:i'))) runs = [{ type: 'emphasis', children: runs }];
+                if (properties && isOn(firstChild(properties, 'w:b'))) runs = [{ type: 'strong', children: runs }];
+                inlines.push(...runs);
+                break;
+            }
+            case 'w:hyperlink': {
+                const children = docxInlines(child, ctx);
+                const target = ctx.relationships[child.attribs['r:id']];
+                inlines.push(...(target ? [{ type: 'link', href: resolveUrl(target, ctx.url), children }] : children));
+                break;
+            }
+            case 'w:del':
+            case 'w:pPr':
+                break;
+            default:
+                // w:ins, w:smartTag, w:sdt, w:fldSimple... wrap runs
+                inlines.push(...docxInlines(child, ctx));
+        }
+    }
+
+    return inlines;
+}
+
+function docxParagraph(p, ctx) {
+    const properties = firstChild(p, 'w:pPr');
+    const style = properties && firstChild(properties, 'w:pStyle') ? firstChild(properties, 'w:pStyle').attribs['w:val'] || '' : '';
+    const outline = properties && firstChild(properties, 'w:outlineLvl');
+    const numbering = properties && firstChild(properties, 'w:numPr');
+
+    const children = tidyInlines(docxInlines(p, ctx));
+    if (!hasText(children)) return null;
+
+    const headingStyle = style.match(/^(?:heading|titre|berschrift|titolo|encabezado)\s*(\d)$/i);
+    if (/^title$/i.test(style) || headingStyle || outline) {
+        const level = headingStyle ? parseInt(headingStyle[1], 10) : outline ? parseInt(outline.attribs['w:val'], 10) + 1 : 1;
+        return { block: { type: 'heading', level: Math.min(Math.max(level, 1), 6), children } };
+    }
+
+    if (numbering || /^list/i.test(style)) {
+        const levelElement = numbering && firstChild(numbering, 'w:ilvl');
+        const level = levelElement ? listLevel(parseInt(levelElement.attribs['w:val'], 10) || 0) : 0;
+        return { listEntry: { level, blocks: [{ type: 'paragraph', children }] } };
+    }
+
+    return { block: { type: 'paragraph', children } };
+}
+
+function docxTable(tbl, ctx) {
+    const head = [];
+    const body = [];
+    const previousRow = [];
+
+    for (const tr of childElements(tbl, 'w:tr')) {
+        const row = [];
+        for (const tc of childElements(tr, 'w:tc')) {
+            const properties = firstChild(tc, 'w:tcPr');
+            const span = properties && firstChild(properties, 'w:gridSpan') ? parseInt(firstChild(properties, 'w:gridSpan').attribs['w:val'], 10) || 1 : 1;
+            const merge = properties && firstChild(properties, 'w:vMerge');
+
+            let cell;
+            if (merge && merge.attribs['w:val'] !== 'restart' && previousRow[row.length]) {
+                // Vertically merged: continues the cell above
+                cell = previousRow[row.length];
+            } else {
+                const inlines = [];
+                for (const p of DomUtils.getElementsByTagName('w:p', tc.children, true)) {
+                    if (inlines.length) inlines.push({ type: 'text', value: ' ' });
+                    inlines.push(...docxInlines(p, ctx).map(node => node.type === 'break' ? { type: 'text', value: ' ' } : node));
+                }
+                cell = { children: tidyInlines(inlines) };
+            }
+            for (let i = 0; i < Math.min(span, 100); i++) row.push(cell);
+        }
+
+        previousRow.splice(0, previousRow.length, ...row);
+        const properties = firstChild(tr, 'w:trPr');
+        const isHeader = properties && isOn(firstChild(properties, 'w:tblHeader')) && !body.length;
+        if (isHeader) row.forEach(cell => { cell.header = true; });
+        (isHeader ? head : body).push(row);
+    }
+
+    return tableBlock(head, body);
+}
+
+function docxBody(node, ctx) {
+    const results = [];
+
+    for (const child of childElements(node)) {
+        if (child.name === 'w:p') {
+            const result = docxParagraph(child, ctx);
+            if (result) results.push(result);
+        } else if (child.name === 'w:tbl') {
+            const table = docxTable(child, ctx);
+            if (table) results.push({ block: table });
+        } else if (child.name === 'w:sdt' || child.name === 'w:sdtContent' || child.name === 'w:customXml') {
+            results.push(...docxBody(child, ctx));
+        }
+    }
+
+    return results;
+}
+
+function docxRelationships(archive, entries) {
+    const rels = parseXml(readEntry(archive, entries, 'word/_rels/document.xml.rels'));
+    const relationships = {};
+    if (!rels) return relationships;
+    for (const rel of DomUtils.getElementsByTagName('Relationship', rels.children, true)) {
+        if (/hyperlink$/.test(rel.attribs.Type || '')) relationships[rel.attribs.Id] = rel.attribs.Target;
+    }
+    return relationships;
+}
+
+function extractDocx(buffer, url) {
+    const entries = readEntries(buffer);
+    const document = parseXml(readEntry(buffer, entries, 'word/document.xml'));
+    if (!document) throw new Error('Invalid DOCX document: word/document.xml not found');
+
+    const core = parseXml(readEntry(buffer, entries, 'docProps/core.xml'));
+    const ctx = { url, relationships: docxRelationships(buffer, entries) };
+    const body = firstElement(document, 'w:body');
+
+    const title = elementText(core, 'dc:title') || fileName(url);
+    const description = elementText(core, 'dc:description');
+
+    return {
+        title,
+        description,
+        url,
+        metadata: emptyMetadata({
+            title,
+            description,
+            author: elementText(core, 'dc:creator'),
+            publishedTime: elementText(core, 'dcterms:created'),
+            modifiedTime: elementText(core, 'dcterms:modified'),
+            language: elementText(core, 'dc:language'),
+            keywords: elementText(core, 'cp:keywords').split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean)
+        }),
+        blocks: body ? collectBlocks(docxBody(body, ctx)) : []
+    };
+}
+
+// --- ODT (OpenDocument Text) ---
+
+function odtInlines(node, ctx) {
+    const inlines = [];
+
+    for (const child of node.children) {
+        if (DomUtils.isText(child)) {
+            inlines.push({ type: 'text', value: child.data.replace(/\s+/g, ' ') });
+            continue;
+        }
+        if (!DomUtils.isTag(child)) continue;
+
+        switch (child.name) {
+            case 'text:s':
+                inlines.push({ type: 'text', value: ' '.repeat(Math.min(parseInt(child.attribs['text:c'], 10) || 1, 100)) });
+                break;
+            case 'text:tab':
+                inlines.push({ type: 'text', value: ' ' });
+                break;
+            case 'text:line-break':
+                inlines.push({ type: 'break' });
+                break;
+            case 'text:a': {
+                const children = odtInlines(child, ctx);
+                const href = child.attribs['xlink:href'];
+                inlines.push(...(href && !href.startsWith('#') ? [{ type: 'link', href: resolveUrl(href, ctx.url), children }] : children));
+                break;
+            }
+            case 'text:note':
+            case 'office:annotation':
+            case 'text:bookmark-ref':
+                break;
+            default:
+                inlines.push(...odtInlines(child, ctx));
+        }
+    }
+
+    return inlines;
+}
+
+function odtList(list, ctx, level) {
+    const entries = [];
+
+    for (const item of childElements(list)) {
+        if (item.name !== 'text:list-item' && item.name !== 'text:list-header') {
+            // Paragraphs of lists flattened by the depth limit
+            const blocks = collectBlocks(odtBody({ children: [item] }, ctx));
+            if (blocks.length) entries.push({ level, blocks });
+            continue;
+        }
+        const blocks = [];
+        for (const child of childElements(item)) {
+            if (child.name === 'text:list') {
+                // Close the item's own text before its sub-list
+                if (blocks.length) entries.push({ level, blocks: blocks.splice(0) });
+                entries.push(...odtList(child, ctx, listLevel(level + 1)));
+            } else {
+                blocks.push(...collectBlocks(odtBody({ children: [child] }, ctx)));
+            }
+        }
+        if (blocks.length) entries.push({ level, blocks });
+    }
+
+    return entries;
+}
+
+function odtTable(table, ctx) {
+    const head = [];
+    const body = [];
+
+    const rows = [];
+    for (const child of childElements(table)) {
+        if (child.name === 'table:table-row') rows.push({ row: child, header: false });
+        if (child.name === 'table:table-header-rows' || child.name === 'table:table-rows') {
+            for (const row of childElements(child, 'table:table-row')) {
+                rows.push({ row, header: child.name === 'table:table-header-rows' });
+            }
+        }
+    }
+
+    for (const { row, header } of rows) {
+        const cells = [];
+        for (const tc of childElements(row)) {
+            if (tc.name !== 'table:table-cell' && tc.name !== 'table:covered-table-cell') continue;
+            const inlines = [];
+            for (const p of childElements(tc)) {
+                if (inlines.length) inlines.push({ type: 'text', value: ' ' });
+                inlines.push(...odtInlines(p, ctx).map(node => node.type === 'break' ? { type: 'text', value: ' ' } : node));
+            }
+            const cell = { children: tidyInlines(inlines) };
+            if (header) cell.header = true;
+            const repeat = Math.min(parseInt(tc.attribs['table:number-columns-repeated'], 10) || 1, 100);
+            for (let i = 0; i < repeat; i++) cells.push(cell);
+        }
+        // Trailing empty repeated cells are only spreadsheet padding
+        while (cells.length && !cells[cells.length - 1].children.length) cells.pop();
+        if (cells.length) (header ? head : body).push(cells);
+    }
+
+    return tableBlock(head, body);
+}
+
+function odtBody(node, ctx) {
+    const results = [];
+
+    for (const child of childElements(node)) {
+        switch (child.name) {
+            case 'text:h': {
+                const children = tidyInlines(odtInlines(child, ctx));
+                const level = Math.min(Math.max(parseInt(child.attribs['text:outline-level'], 10) || 1, 1), 6);
+                if (hasText(children)) results.push({ block: { type: 'heading', level, children } });
+                break;
+            }
+            case 'text:p': {
+                const children = tidyInlines(odtInlines(child, ctx));
+                if (hasText(children)) results.push({ block: { type: 'paragraph', children } });
+                break;
+            }
+            case 'text:list':
+                results.push(...odtList(child, ctx, 0).map(listEntry => ({ listEntry })));
+                break;
+            case 'table:table': {
+                const table = odtTable(child, ctx);
+                if (table) results.push({ block: table });
+                break;
+            }
+            case 'text:section':
+            case 'text:index-body':
+                results.push(...odtBody(child, ctx));
+                break;
+            default:
+                break;
+        }
+    }
+
+    return results;
+}
+
+function extractOdt(buffer, url) {
+    const entries = readEntries(buffer);
+    const content = parseXml(readEntry(buffer, entries, 'content.xml'));
+    if (!content) throw new Error('Invalid ODT document: content.xml not found');
+
+    const meta = parseXml(readEntry(buffer, entries, 'meta.xml'));
+    const text = firstElement(content, 'office:text');
+    const ctx = { url };
+
+    const title = elementText(meta, 'dc:title') || fileName(url);
+    const description = elementText(meta, 'dc:description');
+
+    return {
+        title,
+        description,
+        url,
+        metadata: emptyMetadata({
+            title,
+            description,
+            author: elementText(meta, 'meta:initial-creator') || elementText(meta, 'dc:creator'),
+            publishedTime: elementText(meta, 'meta:creation-date'),
+            modifiedTime: elementText(meta, 'dc:date'),
+            language: elementText(meta, 'dc:language'),
+            keywords: DomUtils.getElementsByTagName('meta:keyword', meta ? meta.children : [], true)
+                .map(keyword => DomUtils.textContent(keyword).trim())
+                .filter(Boolean)
+        }),
+        blocks: text ? collectBlocks(odtBody(text, ctx)) : []
+    };
+}
+
+module.exports = {
+    extractDocx,
+    extractOdt
+};
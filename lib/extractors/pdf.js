@@ -0,0 +1,62 @@
+/**
+ * PDF extractor
+ * Extracts the text layer page by page (pdf-parse / pdf.js); every page starts
+ * with a page marker block. Scanned PDFs without a text layer come out empty.
+ */
+
+const { PDFParse } = require('pdf-parse');
+const { emptyMetadata } = require('../metadata');
+const { fileName } = require('../url-utils');
+
+// PDF dates look like D:20250122103000+01'00'
+function pdfDate(value) {
+    const match = typeof value === 'string' && value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+    if (!match) return '';
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+    const offset = !zone || zone === 'Z' ? 'Z' : `${zone.substring(0, 3)}:${zone.replace(/'/g, '').substring(3, 5) || '00'}`;
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`;
+}
+
+function infoText(info, key) {
+    return info && typeof info[key] === 'string' ? info[key].replace(/\s+/g, ' ').trim() : '';
+}
+
+async function extractPdf(buffer, url) {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+
+    try {
+        const { info } = await parser.getInfo();
+        const { pages } = await parser.getText();
+
+        const blocks = [];
+        for (const page of pages) {
+            blocks.push({ type: 'pageMarker', number: page.num });
+            const text = page.text.replace(/\r\n?/g, '\n').trim();
+            if (text) blocks.push({ type: 'raw', syntax: 'text', text });
+        }
+
+        const title = infoText(info, 'Title') || fileName(url);
+        const description = infoText(info, 'Subject');
+
+        return {
+            title,
+            description,
+            url,
+            metadata: emptyMetadata({
+                title,
+                description,
+                author: infoText(info, 'Author'),
+                publishedTime: pdfDate(info && info.CreationDate),
+                modifiedTime: pdfDate(info && info.ModDate),
+                keywords: infoText(info, 'Keywords').split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean)
+            }),
+            blocks
+        };
+    } finally {
+        await parser.destroy().catch(() => {});
+    }
+}
+
+module.exports = {
+    extractPdf
+};
@@ -0,0 +1,46 @@
+/**
+ * Plain text, Markdown and JSON extractors
+ * Text and Markdown are passed through untouched; JSON is pretty-printed.
+ */
+
+const { emptyMetadata } = require('../metadata');
+const { fileName } = require('../url-utils');
+
+function textDocument(url, title, blocks) {
+    return {
+        title,
+        description: '',
+        url,
+        metadata: emptyMetadata({ title }),
+        blocks
+    };
+}
+
+function extractPlainText(text, url) {
+    const body = text.replace(/\r\n?/g, '\n').trim();
+    return textDocument(url, fileName(url), body ? [{ type: 'raw', syntax: 'text', text: body }] : []);
+}
+
+function extractMarkdown(text, url) {
+    const body = text.replace(/\r\n?/g, '\n').trim();
+    const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+    const title = heading ? heading[1] : fileName(url);
+    return textDocument(url, title, body ? [{ type: 'raw', syntax: 'markdown', text: body }] : []);
+}
+
+function extractJson(text, url) {
+    let pretty;
+    try {
+        pretty = JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        // Not valid JSON after all: keep it as text
+        return extractPlainText(text, url);
+    }
+    return textDocument(url, fileName(url), [{ type: 'code', language: 'json', text: pretty }]);
+}
+
+module.exports = {
+    extractJson,
+    extractMarkdown,
+    extractPlainText
+};
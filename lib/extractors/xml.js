@@ -0,0 +1,78 @@
+/**
+ * Generic XML extractor
+ * Turns an XML document into an outline: one list item per element, with its
+ * attributes and text, nested like the original tree.
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { emptyMetadata } = require('../metadata');
+const { fileName } = require('../url-utils');
+const { limitDepth } = require('../dom-depth');
+
+// Longest attribute value or text shown in the outline
+const MAX_VALUE_LENGTH = 500;
+
+function clean(value) {
+    return value.replace(/\s+/g, ' ').trim().substring(0, MAX_VALUE_LENGTH);
+}
+
+function elementLabel(el) {
+    const children = [{ type: 'strong', children: [{ type: 'text', value: el.name }] }];
+    const attributes = Object.entries(el.attribs)
+        .filter(([name]) => !name.startsWith('xmlns'))
+        .map(([name, value]) => `${name}="${clean(value)}"`);
+
+    if (attributes.length) {
+        children.push({ type: 'text', value: ` (${attributes.join(', ')})` });
+    }
+    return children;
+}
+
+function outlineItem(el) {
+    const label = elementLabel(el);
+    const elements = el.children.filter(child => DomUtils.isTag(child));
+
+    // Leaf element: "name: text"
+    if (!elements.length) {
+        const text = clean(DomUtils.textContent(el));
+        if (text) label.push({ type: 'text', value: `: ${text}` });
+        return { blocks: [{ type: 'paragraph', children: label }] };
+    }
+
+    const items = [];
+    for (const child of el.children) {
+        if (DomUtils.isTag(child)) {
+            items.push(outlineItem(child));
+        } else if (DomUtils.isText(child) || DomUtils.isCDATA(child)) {
+            // Mixed content
+            const text = clean(DomUtils.textContent(child));
+            if (text) items.push({ blocks: [{ type: 'paragraph', children: [{ type: 'text', value: text }] }] });
+        }
+    }
+
+    return {
+        blocks: [
+            { type: 'paragraph', children: label },
+            { type: 'list', ordered: false, items }
+        ]
+    };
+}
+
+function extractXml(text, url) {
+    const dom = limitDepth(parseDocument(text, { xmlMode: true }));
+    const roots = dom.children.filter(child => DomUtils.isTag(child));
+    const titleElement = DomUtils.findOne(el => el.name === 'title', dom.children);
+    const title = (titleElement && clean(DomUtils.textContent(titleElement))) || fileName(url);
+
+    return {
+        title,
+        description: '',
+        url,
+        metadata: emptyMetadata({ title }),
+        blocks: roots.length ? [{ type: 'list', ordered: false, items: roots.map(outlineItem) }] : []
+    };
+}
+
+module.exports = {
+    extractXml
+};
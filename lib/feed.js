@@ -0,0 +1,131 @@
+/**
+ * RSS and Atom feed reader
+ * Recognizes RSS 2.0, RSS 1.0 (RDF) and Atom documents and lists their items
+ * with title, link, dates, author and a plain text summary.
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { resolveUrl } = require('./url-utils');
+
+// Longest item summary kept
+const MAX_SUMMARY_LENGTH = 500;
+
+function clean(value) {
+    return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+// Child elements by local name (ignores namespace prefixes such as dc: or atom:)
+function localName(el) {
+    return el.name.toLowerCase().split(':').pop();
+}
+
+function children(el, name) {
+    return el.children.filter(child => DomUtils.isTag(child) && localName(child) === name);
+}
+
+// Text of the first non-empty child among the names, in order of preference
+// (RSS channels often carry an empty <atom:link> next to their <link>)
+function childText(el, ...names) {
+    for (const name of names) {
+        for (const child of children(el, name)) {
+            const text = clean(DomUtils.textContent(child));
+            if (text) return text;
+        }
+    }
+    return '';
+}
+
+// ISO date when parseable, the raw value otherwise
+function feedDate(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? value : date.toISOString();
+}
+
+// Descriptions usually carry (escaped) HTML: keep the text only
+function summaryText(value) {
+    if (!value) return '';
+    const text = clean(DomUtils.textContent(parseDocument(value)));
+    return text.length > MAX_SUMMARY_LENGTH ? text.substring(0, MAX_SUMMARY_LENGTH) + '…' : text;
+}
+
+function absoluteLink(link, baseUrl) {
+    return link ? resolveUrl(link, baseUrl) : '';
+}
+
+function atomLink(el, baseUrl) {
+    const links = children(el, 'link');
+    const link = links.find(candidate => !candidate.attribs.rel || candidate.attribs.rel === 'alternate') || links[0];
+    return link ? absoluteLink(link.attribs.href, baseUrl) : '';
+}
+
+function rssItem(el, baseUrl) {
+    const guid = children(el, 'guid')[0];
+    const permalink = guid && guid.attribs.isPermaLink !== 'false' && /^https?:/i.test(clean(DomUtils.textContent(guid)))
+        ? clean(DomUtils.textContent(guid))
+        : '';
+
+    return {
+        title: childText(el, 'title'),
+        link: absoluteLink(childText(el, 'link') || permalink, baseUrl),
+        published: feedDate(childText(el, 'pubdate', 'date')),
+        updated: '',
+        author: childText(el, 'creator', 'author'),
+        summary: summaryText(childText(el, 'description', 'encoded'))
+    };
+}
+
+function atomEntry(el, baseUrl) {
+    const author = children(el, 'author')[0];
+    const published = childText(el, 'published', 'issued');
+    const updated = childText(el, 'updated', 'modified');
+
+    return {
+        title: childText(el, 'title'),
+        link: atomLink(el, baseUrl),
+        published: feedDate(published || updated),
+        updated: feedDate(updated),
+        author: author ? childText(author, 'name') || clean(DomUtils.textContent(author)) : '',
+        summary: summaryText(childText(el, 'summary', 'content'))
+    };
+}
+
+// Parse a feed. Returns { type, title, link, description, updated, items } or null when not a feed
+function readFeed(text, baseUrl) {
+    const dom = parseDocument(text, { xmlMode: true });
+    const root = dom.children.find(child => DomUtils.isTag(child));
+    if (!root) return null;
+
+    switch (localName(root)) {
+        case 'rss':
+        case 'rdf': {
+            const channel = children(root, 'channel')[0];
+            if (!channel) return null;
+            // RSS 1.0 items are siblings of the channel, RSS 2.0 items its children
+            const items = children(channel, 'item').concat(children(root, 'item'));
+            return {
+                type: localName(root) === 'rss' ? 'rss' : 'rdf',
+                title: childText(channel, 'title'),
+                link: absoluteLink(childText(channel, 'link'), baseUrl),
+                description: childText(channel, 'description'),
+                updated: feedDate(childText(channel, 'lastbuilddate', 'pubdate', 'date')),
+                items: items.map(item => rssItem(item, baseUrl))
+            };
+        }
+        case 'feed':
+            return {
+                type: 'atom',
+                title: childText(root, 'title'),
+                link: atomLink(root, baseUrl),
+                description: childText(root, 'subtitle', 'tagline'),
+                updated: feedDate(childText(root, 'updated', 'modified')),
+                items: children(root, 'entry').map(entry => atomEntry(entry, baseUrl))
+            };
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    readFeed
+};
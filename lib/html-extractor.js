@@ -0,0 +1,496 @@
+/**
+ * HTML to document tree extraction
+ * Parses the page into a real DOM tree (htmlparser2) and walks it into a small
+ * typed document model (headings, paragraphs, lists, media...) that the
+ * renderers in lib/renderers turn into text, Markdown, JSON or cleaned HTML.
+ * Other content types build the same model in lib/extractors.
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { resolveUrl } = require('./url-utils');
+const { findMainContent } = require('./main-content');
+const { limitDepth } = require('./dom-depth');
+const { selectAll } = require('./selectors');
+const { extractMetadata } = require('./metadata');
+
+const MODES = ['full', 'main'];
+
+// Elements whose content never ends up in the extracted document
+const SKIPPED_TAGS = new Set([
+    'head', 'script', 'style', 'noscript', 'template', 'svg', 'math', 'canvas'
+]);
+
+// Elements that start a new block
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'center',
+    'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'header', 'hgroup', 'hr', 'html', 'legend', 'li', 'main', 'menu',
+    'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td',
+    'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Inline formatting kept in the document model
+const INLINE_FORMATS = {
+    strong: 'strong',
+    b: 'strong',
+    em: 'emphasis',
+    i: 'emphasis',
+    cite: 'emphasis'
+};
+
+const CODE_TAGS = new Set(['code', 'kbd', 'samp', 'tt']);
+
+function isElement(node) {
+    return DomUtils.isTag(node);
+}
+
+function attr(node, name) {
+    const value = node.attribs && node.attribs[name];
+    return value ? value.trim() : '';
+}
+
+// isBlock answers of inline elements, computed once per element
+const blockElements = new WeakMap();
+
+// An inline element wrapping block content (e.g. <a><h2>..</h2></a>) is laid out as a block
+function isBlock(node) {
+    if (!isElement(node) || SKIPPED_TAGS.has(node.name)) return false;
+    if (BLOCK_TAGS.has(node.name)) return true;
+    if (!blockElements.has(node)) {
+        blockElements.set(node, node.children.some(isBlock));
+    }
+    return blockElements.get(node);
+}
+
+function linkTarget(node, ctx) {
+    const href = attr(node, 'href');
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return '';
+    return resolveUrl(href, ctx.baseUrl);
+}
+
+function mediaSource(node, ctx) {
+    let src = attr(node, 'src');
+    if (!src) {
+        const source = DomUtils.findOne(el => el.name === 'source' && !!el.attribs.src, node.children);
+        src = source ? attr(source, 'src') : '';
+    }
+    return src ? resolveUrl(src, ctx.baseUrl) : '';
+}
+
+function buildMedia(node, ctx) {
+    switch (node.name) {
+        case 'img':
+            return { type: 'media', kind: 'image', src: mediaSource(node, ctx), alt: attr(node, 'alt'), title: attr(node, 'title') };
+        case 'video':
+            return {
+                type: 'media',
+                kind: 'video',
+                src: mediaSource(node, ctx),
+                title: attr(node, 'title'),
+                poster: attr(node, 'poster') ? resolveUrl(attr(node, 'poster'), ctx.baseUrl) : ''
+            };
+        case 'audio':
+            return { type: 'media', kind: 'audio', src: mediaSource(node, ctx), title: attr(node, 'title') };
+        default:
+            return { type: 'media', kind: 'iframe', src: mediaSource(node, ctx), title: attr(node, 'title'), name: attr(node, 'name') };
+    }
+}
+
+// Build raw inline nodes for a DOM node (whitespace is normalized afterwards)
+function buildInline(node, ctx) {
+    if (DomUtils.isText(node)) {
+        return [{ type: 'text', value: node.data.replace(/\s+/g, ' ') }];
+    }
+    if (!isElement(node) || SKIPPED_TAGS.has(node.name)) {
+        return [];
+    }
+
+    switch (node.name) {
+        case 'br':
+            return [{ type: 'break' }];
+        case 'img':
+        case 'video':
+        case 'audio':
+        case 'iframe':
+            return [buildMedia(node, ctx)];
+        case 'a': {
+            const children = buildInlineChildren(node, ctx);
+            const href = linkTarget(node, ctx);
+            if (!href) return children;
+            const link = { type: 'link', href, children };
+            if (attr(node, 'title')) link.title = attr(node, 'title');
+            return [link];
+        }
+        default:
+            if (CODE_TAGS.has(node.name)) {
+                return [{ type: 'code', value: DomUtils.textContent(node).replace(/\s+/g, ' ') }];
+            }
+            if (INLINE_FORMATS[node.name]) {
+                return [{ type: INLINE_FORMATS[node.name], children: buildInlineChildren(node, ctx) }];
+            }
+            if (BLOCK_TAGS.has(node.name)) {
+                return [{ type: 'text', value: ' ' }, ...buildInlineChildren(node, ctx), { type: 'text', value: ' ' }];
+            }
+            return buildInlineChildren(node, ctx);
+    }
+}
+
+function buildInlineChildren(node, ctx) {
+    return node.children.flatMap(child => buildInline(child, ctx));
+}
+
+// Collapse whitespace across inline node boundaries, drop empty containers
+function collapseInlines(nodes, state) {
+    const out = [];
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            let value = node.value;
+            if (state.space && value.startsWith(' ')) value = value.substring(1);
+            if (!value) continue;
+            state.space = value.endsWith(' ');
+            const previous = out[out.length - 1];
+            if (previous && previous.type === 'text') {
+                previous.value += value;
+            } else {
+                out.push({ type: 'text', value });
+            }
+        } else if (node.type === 'break') {
+            trimTrailingSpace(out);
+            out.push(node);
+            state.space = true;
+        } else if (node.children) {
+            const children = collapseInlines(node.children, state);
+            if (children.length) out.push({ ...node, children });
+        } else {
+            out.push(node);
+            state.space = false;
+        }
+    }
+
+    return out;
+}
+
+function trimTrailingSpace(nodes) {
+    while (nodes.length) {
+        const last = nodes[nodes.length - 1];
+        if (last.type === 'text') {
+            last.value = last.value.replace(/ +$/, '');
+            if (last.value) return;
+            nodes.pop();
+        } else if (last.type === 'break') {
+            nodes.pop();
+        } else if (last.children) {
+            trimTrailingSpace(last.children);
+            if (last.children.length) return;
+            nodes.pop();
+        } else {
+            return;
+        }
+    }
+}
+
+function normalizeInlines(nodes) {
+    const out = collapseInlines(nodes, { space: true });
+    trimTrailingSpace(out);
+    return out;
+}
+
+// A run of inline content: a paragraph, or a media block when it only holds one media element
+function inlineBlock(nodes) {
+    const children = normalizeInlines(nodes);
+    if (!children.length) return null;
+    if (children.length === 1 && children[0].type === 'media') {
+        return children[0];
+    }
+    return { type: 'paragraph', children };
+}
+
+// Build the blocks for a list of sibling nodes
+function buildBlocks(nodes, ctx) {
+    const blocks = [];
+    let inline = [];
+
+    const flush = () => {
+        const block = inlineBlock(inline);
+        if (block) blocks.push(block);
+        inline = [];
+    };
+
+    for (const node of nodes) {
+        if (isBlock(node)) {
+            flush();
+            blocks.push(...buildBlock(node, ctx));
+        } else {
+            inline.push(...buildInline(node, ctx));
+        }
+    }
+    flush();
+
+    return blocks;
+}
+
+function buildList(node, ctx) {
+    const list = { type: 'list', ordered: node.name === 'ol', items: [] };
+    if (list.ordered) {
+        list.start = /^\d+$/.test(attr(node, 'start')) ? parseInt(attr(node, 'start'), 10) : 1;
+    }
+
+    for (const child of node.children) {
+        if (isElement(child) && child.name === 'li') {
+            const blocks = buildBlocks(child.children, ctx);
+            if (blocks.length) list.items.push({ blocks });
+        } else if (isElement(child) && (child.name === 'ul' || child.name === 'ol')) {
+            // Lists nested directly in a list (without an <li>) belong to the previous item
+            const nested = buildList(child, ctx);
+            if (!nested.length) continue;
+            if (list.items.length) {
+                list.items[list.items.length - 1].blocks.push(...nested);
+            } else {
+                list.items.push({ blocks: nested });
+            }
+        } else {
+            const block = inlineBlock(buildInline(child, ctx));
+            if (block) list.items.push({ blocks: [block] });
+        }
+    }
+
+    return list.items.length ? [list] : [];
+}
+
+function buildDefinitionList(node, ctx) {
+    const list = { type: 'definitionList', items: [] };
+
+    for (const child of node.children) {
+        if (!isElement(child) || (child.name !== 'dt' && child.name !== 'dd')) continue;
+        const blocks = buildBlocks(child.children, ctx);
+        if (blocks.length) {
+            list.items.push({ type: child.name === 'dt' ? 'term' : 'definition', blocks });
+        }
+    }
+
+    return list.items.length ? [list] : [];
+}
+
+// Largest span honored for colspan/rowspan, to keep hostile markup from exploding the grid
+const MAX_TABLE_SPAN = 100;
+
+function tableCell(node, ctx) {
+    const children = normalizeInlines(
+        buildInlineChildren(node, ctx).map(child => child.type === 'break' ? { type: 'text', value: ' ' } : child)
+    );
+    const cell = { children };
+    if (node.name === 'th') cell.header = true;
+    return cell;
+}
+
+// Collect the rows of a table (not of tables nested in its cells), split into head and body
+function tableRows(table) {
+    const head = [];
+    const body = [];
+    const foot = [];
+
+    for (const child of table.children) {
+        if (!isElement(child)) continue;
+        if (child.name === 'tr') {
+            body.push(child);
+        } else if (child.name === 'thead' || child.name === 'tbody' || child.name === 'tfoot') {
+            const rows = child.children.filter(row => isElement(row) && row.name === 'tr');
+            (child.name === 'thead' ? head : child.name === 'tfoot' ? foot : body).push(...rows);
+        }
+    }
+
+    return { head, body: body.concat(foot) };
+}
+
+// Lay out rows on a rectangular grid, repeating spanned cells in every slot they cover
+function tableGrid(rows, ctx) {
+    const grid = rows.map(() => []);
+
+    rows.forEach((row, r) => {
+        let column = 0;
+        for (const cellNode of row.children) {
+            if (!isElement(cellNode) || (cellNode.name !== 'td' && cellNode.name !== 'th')) continue;
+
+            const cell = tableCell(cellNode, ctx);
+            const colspan = Math.min(Math.max(parseInt(attr(cellNode, 'colspan'), 10) || 1, 1), MAX_TABLE_SPAN);
+            const rowspanAttr = parseInt(attr(cellNode, 'rowspan'), 10);
+            // rowspan="0" spans to the end of the row group
+            const rowspan = rowspanAttr === 0 ? rows.length - r : Math.min(Math.max(rowspanAttr || 1, 1), rows.length - r);
+
+            while (grid[r][column]) column++;
+            for (let dr = 0; dr < rowspan; dr++) {
+                for (let dc = 0; dc < colspan; dc++) {
+                    grid[r + dr][column + dc] = cell;
+                }
+            }
+            column += colspan;
+        }
+    });
+
+    return grid;
+}
+
+// Tables used for page layout (one column, or wrapping other tables) are laid out as plain blocks
+function isLayoutTable(node, grid) {
+    const width = Math.max(0, ...grid.map(row => row.length));
+    if (width <= 1) return true;
+    return !!DomUtils.findOne(el => el.name === 'table', node.children);
+}
+
+function buildTable(node, ctx) {
+    const { head, body } = tableRows(node);
+    const headGrid = tableGrid(head, ctx);
+    const bodyGrid = tableGrid(body, ctx);
+
+    if (isLayoutTable(node, headGrid.concat(bodyGrid))) {
+        const cells = head.concat(body).flatMap(row => row.children.filter(cell => isElement(cell) && (cell.name === 'td' || cell.name === 'th')));
+        return cells.flatMap(cell => buildBlocks(cell.children, ctx));
+    }
+
+    // Without a <thead>, a first row made only of <th> cells is the header
+    if (!headGrid.length && bodyGrid.length && bodyGrid[0].every(cell => cell && cell.header)) {
+        headGrid.push(bodyGrid.shift());
+    }
+
+    const width = Math.max(...headGrid.concat(bodyGrid).map(row => row.length));
+    const pad = row => Array.from({ length: width }, (_, i) => row[i] || { children: [] });
+
+    const table = { type: 'table', head: headGrid.map(pad), body: bodyGrid.map(pad) };
+    const caption = node.children.find(child => isElement(child) && child.name === 'caption');
+    if (caption) {
+        const text = DomUtils.textContent(caption).replace(/\s+/g, ' ').trim();
+        if (text) table.caption = text;
+    }
+    return [table];
+}
+
+function codeLanguage(node) {
+    const code = DomUtils.findOne(el => el.name === 'code', node.children);
+    const className = `${attr(node, 'class')} ${code ? attr(code, 'class') : ''}`;
+    const match = className.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+    return match ? match[1] : '';
+}
+
+// Build the blocks for a block-level element
+function buildBlock(node, ctx) {
+    switch (node.name) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+            const children = normalizeInlines(
+                buildInlineChildren(node, ctx).map(child => child.type === 'break' ? { type: 'text', value: ' ' } : child)
+            );
+            return children.length ? [{ type: 'heading', level: parseInt(node.name[1], 10), children }] : [];
+        }
+        case 'ul': case 'ol': case 'menu': case 'dir':
+            return buildList(node, ctx);
+        case 'dl':
+            return buildDefinitionList(node, ctx);
+        case 'blockquote': {
+            const blocks = buildBlocks(node.children, ctx);
+            return blocks.length ? [{ type: 'blockquote', blocks }] : [];
+        }
+        case 'pre': {
+            const text = DomUtils.textContent(node).replace(/^\n/, '').replace(/\s+$/, '');
+            if (!text) return [];
+            const block = { type: 'code', text };
+            const language = codeLanguage(node);
+            if (language) block.language = language;
+            return [block];
+        }
+        case 'table':
+            return buildTable(node, ctx);
+        case 'hr':
+            return [{ type: 'thematicBreak' }];
+        case 'a': {
+            // Link wrapping block content: link the headings and paragraphs it contains
+            const blocks = buildBlocks(node.children, ctx);
+            const href = linkTarget(node, ctx);
+            if (!href) return blocks;
+            return blocks.map(block => {
+                if (block.type === 'heading' || block.type === 'paragraph') {
+                    return { ...block, children: [{ type: 'link', href, children: block.children }] };
+                }
+                return block;
+            });
+        }
+        default:
+            return buildBlocks(node.children, ctx);
+    }
+}
+
+// Every distinct link target of the page, in document order
+function collectLinks(dom, ctx) {
+    const links = DomUtils.findAll(el => (el.name === 'a' || el.name === 'area') && !!el.attribs.href, dom.children)
+        .map(el => linkTarget(el, ctx))
+        .filter(Boolean);
+    return [...new Set(links)];
+}
+
+// Elements matching the include selectors, in document order; those inside
+// another match come with it. Selectors matching nothing are reported in warnings
+function includedElements(dom, selectors, warnings) {
+    const matched = new Set();
+    for (const selector of selectors) {
+        const elements = selectAll(selector, dom.children);
+        if (!elements.length) warnings.push(`includeSelectors "${selector}" matched no element`);
+        elements.forEach(el => matched.add(el));
+    }
+
+    const insideMatch = el => {
+        for (let parent = el.parent; parent; parent = parent.parent) {
+            if (matched.has(parent)) return true;
+        }
+        return false;
+    };
+    return DomUtils.findAll(el => matched.has(el) && !insideMatch(el), dom.children);
+}
+
+// Parse an HTML page into the document model
+// mode: 'full' keeps the whole body, 'main' only the detected main content
+// collectLinks: also list every link of the page (before main content pruning) in `links`
+// excludeSelectors: CSS selectors of elements dropped from the page
+// includeSelectors: CSS selectors of the only elements kept (instead of the mode's content)
+// The document carries `warnings` when an include selector matched nothing
+function buildDocument(html, baseUrl, options = {}) {
+    const { mode = 'full', includeSelectors, excludeSelectors = [] } = options;
+    const dom = limitDepth(parseDocument(html));
+    const ctx = { baseUrl };
+    const warnings = [];
+
+    // Read metadata first: main content detection prunes <script> (JSON-LD) elements
+    const metadata = extractMetadata(dom, baseUrl);
+    const links = options.collectLinks ? collectLinks(dom, ctx) : null;
+
+    for (const selector of excludeSelectors) {
+        selectAll(selector, dom.children).forEach(el => DomUtils.removeElement(el));
+    }
+
+    let nodes;
+    if (includeSelectors && includeSelectors.length) {
+        nodes = includedElements(dom, includeSelectors, warnings);
+    } else if (mode === 'main') {
+        nodes = findMainContent(dom);
+    } else {
+        const body = DomUtils.findOne(el => el.name === 'body', dom.children);
+        nodes = body ? body.children : dom.children;
+    }
+
+    const document = {
+        title: metadata.title,
+        description: metadata.description,
+        url: baseUrl,
+        metadata,
+        blocks: buildBlocks(nodes, ctx)
+    };
+
+    if (links) document.links = links;
+    if (warnings.length) document.warnings = warnings;
+    return document;
+}
+
+module.exports = {
+    MODES,
+    buildDocument,
+    resolveUrl
+};
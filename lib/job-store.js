@@ -0,0 +1,45 @@
+/**
+ * Job persistence
+ * One JSON file per extraction job in the jobs directory, written to a
+ * temporary file then renamed so a crash never leaves a truncated job behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function jobFile(dir, id) {
+    return path.join(dir, `${id}.json`);
+}
+
+// Every stored job (unreadable files are skipped)
+function loadJobs(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const jobs = [];
+
+    for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+            jobs.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+        } catch (error) {
+            console.error(`❌ Unreadable job file ${name}:`, error.message);
+        }
+    }
+    return jobs;
+}
+
+function saveJob(dir, job) {
+    const file = jobFile(dir, job.id);
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(job));
+    fs.renameSync(temporary, file);
+}
+
+function deleteJob(dir, id) {
+    fs.rmSync(jobFile(dir, id), { force: true });
+}
+
+module.exports = {
+    deleteJob,
+    loadJobs,
+    saveJob
+};
@@ -0,0 +1,199 @@
+/**
+ * Readability-style main content detection
+ * Strips page chrome (navigation, sidebars, footers, cookie banners, share
+ * widgets...) from a parsed DOM, then scores the remaining blocks by text and
+ * link density to find the element(s) holding the primary content.
+ */
+
+const { DomUtils } = require('htmlparser2');
+
+// Class/id hints (same spirit as Mozilla Readability)
+const NEGATIVE_HINTS = /\b(ad|ads|advert|banner|breadcrumbs?|combx|comment|comments|community|consent|cookie|cookies|disqus|footer|gdpr|masthead|menu|modal|nav|navbar|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|share|sharing|shoutbox|sidebar|skyscraper|social|sponsor|sponsored|subscribe|taboola|toolbar|widget)\b/i;
+const POSITIVE_HINTS = /\b(article|body|blog|content|entry|h-entry|hentry|main|page|post|story|text)\b/i;
+
+const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'footer', 'button', 'dialog', 'select', 'input', 'textarea', 'script', 'style', 'noscript', 'template']);
+const BOILERPLATE_ROLES = new Set(['navigation', 'complementary', 'contentinfo', 'banner', 'search', 'dialog', 'alertdialog', 'menu', 'menubar']);
+
+// Elements that carry paragraphs of text, used to score their ancestors
+const SCORED_TAGS = new Set(['p', 'pre', 'td', 'blockquote', 'li', 'dd', 'h2', 'h3']);
+
+const TAG_WEIGHTS = {
+    article: 10,
+    main: 10,
+    section: 3,
+    div: 5,
+    pre: 3,
+    td: 3,
+    blockquote: 3,
+    address: -3,
+    ol: -3,
+    ul: -3,
+    dl: -3,
+    dd: -3,
+    dt: -3,
+    li: -3,
+    form: -3,
+    h1: -5,
+    h2: -5,
+    h3: -5,
+    h4: -5,
+    h5: -5,
+    h6: -5,
+    th: -5
+};
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_SEMANTIC_LENGTH = 250;
+// Forms wrapping less text than this are search boxes, logins or newsletter sign-ups
+const MAX_BOILERPLATE_FORM_LENGTH = 500;
+
+function textOf(node) {
+    return DomUtils.textContent(node).replace(/\s+/g, ' ').trim();
+}
+
+function hints(el) {
+    return `${el.attribs.class || ''} ${el.attribs.id || ''}`.replace(/[-_]/g, ' ');
+}
+
+function linkDensity(el) {
+    const textLength = textOf(el).length;
+    if (!textLength) return 0;
+    const linkLength = DomUtils.getElementsByTagName('a', el.children, true)
+        .reduce((total, link) => total + textOf(link).length, 0);
+    return linkLength / textLength;
+}
+
+function isHidden(el) {
+    const style = (el.attribs.style || '').replace(/\s+/g, '').toLowerCase();
+    return el.attribs.hidden !== undefined
+        || el.attribs['aria-hidden'] === 'true'
+        || style.includes('display:none')
+        || style.includes('visibility:hidden');
+}
+
+function hasAncestor(el, names) {
+    for (let parent = el.parent; parent; parent = parent.parent) {
+        if (names.includes(parent.name)) return true;
+    }
+    return false;
+}
+
+function isBoilerplate(el) {
+    if (el.name === 'html' || el.name === 'body' || el.name === 'main' || el.name === 'article') return false;
+    if (BOILERPLATE_TAGS.has(el.name) || isHidden(el)) return true;
+    if (BOILERPLATE_ROLES.has((el.attribs.role || '').toLowerCase())) return true;
+    // A page header is chrome, an article header holds its title and byline
+    if (el.name === 'header' && !hasAncestor(el, ['article', 'main'])) return true;
+    if (el.name === 'form' && textOf(el).length < MAX_BOILERPLATE_FORM_LENGTH) return true;
+
+    const elementHints = hints(el);
+    if (NEGATIVE_HINTS.test(elementHints)) {
+        return !POSITIVE_HINTS.test(elementHints) || linkDensity(el) > 0.5;
+    }
+    return false;
+}
+
+// Remove boilerplate elements from the tree, in place
+function prune(nodes) {
+    for (const node of [...nodes]) {
+        if (!DomUtils.isTag(node)) continue;
+        if (isBoilerplate(node)) {
+            DomUtils.removeElement(node);
+        } else {
+            prune(node.children);
+        }
+    }
+}
+
+// A single <main>, role="main" or <article> holding enough text is taken as-is
+function semanticContent(root) {
+    for (const test of [
+        el => el.name === 'main' || (el.attribs.role || '').toLowerCase() === 'main',
+        el => el.name === 'article'
+    ]) {
+        const matches = DomUtils.findAll(test, root.children);
+        if (matches.length === 1 && textOf(matches[0]).length >= MIN_SEMANTIC_LENGTH) {
+            return matches[0];
+        }
+    }
+    return null;
+}
+
+function initialScore(el) {
+    let score = TAG_WEIGHTS[el.name] || 0;
+    const elementHints = hints(el);
+    if (NEGATIVE_HINTS.test(elementHints)) score -= 25;
+    if (POSITIVE_HINTS.test(elementHints)) score += 25;
+    return score;
+}
+
+// Score the ancestors of every text-bearing block
+function scoreCandidates(root) {
+    const scores = new Map();
+
+    for (const el of DomUtils.findAll(node => SCORED_TAGS.has(node.name), root.children)) {
+        const text = textOf(el);
+        if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+        const score = 1 + text.split(/[,،、，]/).length - 1 + Math.min(Math.floor(text.length / 100), 3);
+
+        let ancestor = el.parent;
+        for (let level = 0; level < 3 && ancestor && ancestor !== root.parent; level++) {
+            if (!DomUtils.isTag(ancestor)) break;
+            if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+            const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+            scores.set(ancestor, scores.get(ancestor) + score / divider);
+            ancestor = ancestor.parent;
+        }
+    }
+
+    for (const [el, score] of scores) {
+        scores.set(el, score * (1 - linkDensity(el)));
+    }
+
+    return scores;
+}
+
+// Siblings of the best candidate that look like part of the same content
+function withRelatedSiblings(top, scores) {
+    if (!top.parent) return [top];
+
+    const topScore = scores.get(top);
+    const threshold = Math.max(10, topScore * 0.2);
+
+    return top.parent.children.filter(sibling => {
+        if (sibling === top) return true;
+        if (!DomUtils.isTag(sibling)) return false;
+        if ((scores.get(sibling) || 0) >= threshold) return true;
+        if (sibling.name === 'p') {
+            const text = textOf(sibling);
+            return (text.length > 80 && linkDensity(sibling) < 0.25)
+                || (text.length > 0 && linkDensity(sibling) === 0 && /\.( |$)/.test(text));
+        }
+        return false;
+    });
+}
+
+// Return the nodes holding the main content of a parsed document (mutates the tree)
+function findMainContent(dom) {
+    const root = DomUtils.findOne(el => el.name === 'body', dom.children) || dom;
+    prune(root.children);
+
+    const semantic = semanticContent(root);
+    if (semantic) return [semantic];
+
+    let top = null;
+    const scores = scoreCandidates(root);
+    for (const [el, score] of scores) {
+        if (!top || score > scores.get(top)) top = el;
+    }
+
+    // Nothing scored (very short page): fall back to the whole pruned body
+    if (!top) return root.children;
+
+    return withRelatedSiblings(top, scores);
+}
+
+module.exports = {
+    findMainContent
+};
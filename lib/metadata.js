@@ -0,0 +1,193 @@
+/**
+ * Structured page metadata
+ * Collects every <meta> tag (whatever the attribute order), OpenGraph and
+ * Twitter card properties, the canonical URL, the document language and all
+ * JSON-LD blocks, then derives the usual summary fields (author, dates...).
+ */
+
+const { DomUtils } = require('htmlparser2');
+const { resolveUrl } = require('./url-utils');
+
+// OpenGraph namespaces (og:* loses its prefix, the object namespaces keep theirs)
+const OPEN_GRAPH_PREFIXES = ['og:', 'article:', 'book:', 'profile:', 'music:', 'video:'];
+
+function clean(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Add a value under a key, turning repeated keys into arrays
+function addValue(target, key, value) {
+    if (!Object.hasOwn(target, key)) {
+        target[key] = value;
+    } else if (Array.isArray(target[key])) {
+        if (!target[key].includes(value)) target[key].push(value);
+    } else if (target[key] !== value) {
+        target[key] = [target[key], value];
+    }
+}
+
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+// Meta tags by name: a null-prototype object, since names such as "constructor"
+// or "__proto__" come from the page
+function collectMetaTags(dom) {
+    const meta = Object.create(null);
+
+    for (const el of DomUtils.getElementsByTagName('meta', dom.children, true)) {
+        const key = clean(el.attribs.property || el.attribs.name || el.attribs['http-equiv'] || el.attribs.itemprop).toLowerCase();
+        const value = clean(el.attribs.content);
+        if (key && value) addValue(meta, key, value);
+    }
+
+    return meta;
+}
+
+function namespaced(meta, prefixes, strip) {
+    const result = Object.create(null);
+    for (const [key, value] of Object.entries(meta)) {
+        const prefix = prefixes.find(candidate => key.startsWith(candidate));
+        if (prefix) result[prefix === strip ? key.substring(strip.length) : key] = value;
+    }
+    return result;
+}
+
+function findLink(dom, rel, baseUrl) {
+    const link = DomUtils.findOne(
+        el => el.name === 'link' && (el.attribs.rel || '').toLowerCase().split(/\s+/).includes(rel) && !!el.attribs.href,
+        dom.children
+    );
+    return link ? resolveUrl(link.attribs.href.trim(), baseUrl) : '';
+}
+
+// Parse a JSON-LD script body, tolerating the wrappers CMSs like to add
+function parseJsonLd(text) {
+    const source = text
+        .replace(/^\s*<!--/, '')
+        .replace(/-->\s*$/, '')
+        .replace(/^\s*\/\/\s*<!\[CDATA\[/, '')
+        .replace(/\/\/\s*\]\]>\s*$/, '')
+        .trim()
+        .replace(/;$/, '');
+    try {
+        return JSON.parse(source);
+    } catch {
+        return null;
+    }
+}
+
+// Every JSON-LD entity on the page, with arrays and @graph containers flattened
+function collectJsonLd(dom) {
+    const entities = [];
+
+    const add = data => {
+        if (Array.isArray(data)) {
+            data.forEach(add);
+        } else if (data && typeof data === 'object') {
+            if (Array.isArray(data['@graph'])) {
+                data['@graph'].forEach(add);
+            } else {
+                entities.push(data);
+            }
+        }
+    };
+
+    for (const script of DomUtils.getElementsByTagName('script', dom.children, true)) {
+        if ((script.attribs.type || '').toLowerCase().trim() !== 'application/ld+json') continue;
+        add(parseJsonLd(DomUtils.textContent(script)));
+    }
+
+    return entities;
+}
+
+function types(entity) {
+    const type = entity['@type'];
+    return (Array.isArray(type) ? type : [type]).filter(Boolean).map(String);
+}
+
+// The entity describing the page itself: an article-like type first, then anything with a date or author
+function primaryEntity(entities) {
+    const articleLike = /Article|BlogPosting|Posting|Report|Review|Recipe|Product|WebPage|CreativeWork|Event|Course|HowTo/;
+    return entities.find(entity => types(entity).some(type => articleLike.test(type) && !/Breadcrumb|Organization|WebSite/.test(type)))
+        || entities.find(entity => entity.datePublished || entity.author)
+        || null;
+}
+
+function personNames(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .map(person => (person && typeof person === 'object' ? person.name : person))
+        .map(name => clean(typeof name === 'string' ? name : ''))
+        .filter(Boolean);
+}
+
+function findTimeElement(dom) {
+    const time = DomUtils.findOne(
+        el => el.name === 'time' && !!el.attribs.datetime && (el.attribs.pubdate !== undefined || /date-?published|pubdate/i.test(el.attribs.itemprop || el.attribs.class || '')),
+        dom.children
+    );
+    return time ? clean(time.attribs.datetime) : '';
+}
+
+// Metadata shape for documents that are not HTML pages (PDF, Office, plain text...)
+function emptyMetadata(fields = {}) {
+    return {
+        title: '',
+        description: '',
+        canonical: '',
+        language: '',
+        author: '',
+        publishedTime: '',
+        modifiedTime: '',
+        siteName: '',
+        type: '',
+        image: '',
+        keywords: [],
+        openGraph: {},
+        twitter: {},
+        jsonLd: [],
+        meta: {},
+        ...fields
+    };
+}
+
+function extractMetadata(dom, baseUrl) {
+    const meta = collectMetaTags(dom);
+    const openGraph = namespaced(meta, OPEN_GRAPH_PREFIXES, 'og:');
+    const twitter = namespaced(meta, ['twitter:'], 'twitter:');
+    const jsonLd = collectJsonLd(dom);
+    const entity = primaryEntity(jsonLd) || {};
+
+    const html = DomUtils.findOne(el => el.name === 'html', dom.children);
+    const titleElement = DomUtils.findOne(el => el.name === 'title', dom.children);
+
+    const authors = personNames(entity.author);
+    const metaAuthor = first(meta.author || meta['article:author'] || meta['dc.creator'] || meta['twitter:creator']);
+    if (!authors.length && metaAuthor) authors.push(metaAuthor);
+
+    const image = first(openGraph.image || openGraph['image:url'] || twitter.image || twitter['image:src']);
+
+    return {
+        title: clean(titleElement ? DomUtils.textContent(titleElement) : '') || first(openGraph.title) || first(twitter.title) || clean(entity.headline),
+        description: first(meta.description) || first(openGraph.description) || first(twitter.description) || clean(entity.description),
+        canonical: findLink(dom, 'canonical', baseUrl) || (first(openGraph.url) ? resolveUrl(first(openGraph.url), baseUrl) : ''),
+        language: clean(html && html.attribs.lang) || first(meta['content-language']) || first(openGraph.locale) || clean(entity.inLanguage),
+        author: authors.join(', '),
+        publishedTime: first(meta['article:published_time']) || clean(entity.datePublished) || first(meta.date || meta['dc.date'] || meta.pubdate || meta.datepublished) || findTimeElement(dom),
+        modifiedTime: first(meta['article:modified_time']) || clean(entity.dateModified) || first(openGraph.updated_time || meta.datemodified || meta['last-modified']) || '',
+        siteName: first(openGraph.site_name) || first(meta['application-name']) || '',
+        type: first(openGraph.type) || (types(entity)[0] || ''),
+        image: image ? resolveUrl(image, baseUrl) : '',
+        keywords: first(meta.keywords) ? first(meta.keywords).split(',').map(clean).filter(Boolean) : [],
+        openGraph,
+        twitter,
+        jsonLd,
+        meta
+    };
+}
+
+module.exports = {
+    emptyMetadata,
+    extractMetadata
+};
@@ -0,0 +1,165 @@
+/**
+ * Browser rendering options
+ * What to wait for once a page is loaded (a selector), how to reveal lazy
+ * content (auto-scroll within a height and time budget, clicking "load more" or
+ * expand buttons) and which resource types not to download. Then captures of
+ * the rendered page: full-page screenshot, printed PDF.
+ */
+
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle'];
+const BLOCKABLE_RESOURCES = ['image', 'media', 'font', 'stylesheet'];
+
+const DEFAULT_SCROLL_HEIGHT = 20000;
+const MAX_SCROLL_HEIGHT = 200000;
+const DEFAULT_SCROLL_TIME_MS = 10000;
+const MAX_SCROLL_TIME_MS = 60000;
+const DEFAULT_CLICKS = 10;
+const MAX_CLICKS = 50;
+
+// Pause after a scroll step or a click, for the content it triggers
+const STEP_DELAY_MS = 300;
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+// Validate the render options of a request
+// Returns an error message, or null when they are valid
+function renderOptionsError(render) {
+    if (render === undefined) return null;
+    if (!render || typeof render !== 'object' || Array.isArray(render)) return 'render must be an object';
+
+    const { waitUntil, waitForSelector, autoScroll, scrollMaxHeight, scrollTimeMs, clickSelectors, maxClicks, blockResources } = render;
+
+    if (waitUntil !== undefined && !WAIT_UNTIL.includes(waitUntil)) {
+        return `Unsupported render.waitUntil: ${waitUntil}. Expected one of: ${WAIT_UNTIL.join(', ')}`;
+    }
+    if (waitForSelector !== undefined && !(typeof waitForSelector === 'string' && waitForSelector.trim())) {
+        return 'render.waitForSelector must be a CSS selector';
+    }
+    if (autoScroll !== undefined && typeof autoScroll !== 'boolean') {
+        return 'render.autoScroll must be a boolean';
+    }
+    for (const [name, value] of [['scrollMaxHeight', scrollMaxHeight], ['scrollTimeMs', scrollTimeMs], ['maxClicks', maxClicks]]) {
+        if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+            return `render.${name} must be a positive integer`;
+        }
+    }
+    if (clickSelectors !== undefined && !isStringList(clickSelectors)) {
+        return 'render.clickSelectors must be a list of CSS selectors';
+    }
+    if (blockResources !== undefined && !(Array.isArray(blockResources) && blockResources.every(type => BLOCKABLE_RESOURCES.includes(type)))) {
+        return `render.blockResources must list resource types among: ${BLOCKABLE_RESOURCES.join(', ')}`;
+    }
+    return null;
+}
+
+// Scroll down step by step until the page stops growing, or the budget is spent
+async function autoScroll(page, maxHeight, timeMs) {
+    const deadline = Date.now() + timeMs;
+    let bottomHits = 0;
+
+    while (Date.now() < deadline) {
+        const position = await page.evaluate(() => {
+            window.scrollBy(0, window.innerHeight);
+            return { bottom: window.scrollY + window.innerHeight, height: document.documentElement.scrollHeight };
+        });
+
+        if (position.bottom >= maxHeight) return 'height';
+
+        // At the bottom twice in a row: nothing more was loaded
+        bottomHits = position.bottom >= position.height ? bottomHits + 1 : 0;
+        if (bottomHits >= 2) return 'end';
+
+        await page.waitForTimeout(STEP_DELAY_MS);
+    }
+    return 'time';
+}
+
+// Click the first visible match of each selector again and again (at most
+// maxClicks in all), as long as one is shown. Resolves the number of clicks
+async function clickAll(page, selectors, maxClicks) {
+    let clicks = 0;
+
+    for (const selector of selectors) {
+        const target = page.locator(selector).first();
+        while (clicks < maxClicks && await target.isVisible().catch(() => false)) {
+            try {
+                await target.click({ timeout: 2000 });
+            } catch {
+                break;
+            }
+            clicks++;
+            await page.waitForTimeout(STEP_DELAY_MS);
+        }
+    }
+    return clicks;
+}
+
+// Apply the render options to a loaded page.
+// timeoutMs bounds the wait for render.waitForSelector
+// Resolves the warnings to report (a selector that never showed up...)
+async function renderPage(page, render = {}, timeoutMs) {
+    const warnings = [];
+
+    if (render.waitForSelector) {
+        try {
+            await page.waitForSelector(render.waitForSelector, { state: 'attached', timeout: timeoutMs });
+        } catch {
+            warnings.push(`render.waitForSelector "${render.waitForSelector}" not found within ${timeoutMs} ms`);
+        }
+    }
+
+    if (render.autoScroll) {
+        const maxHeight = Math.min(render.scrollMaxHeight || DEFAULT_SCROLL_HEIGHT, MAX_SCROLL_HEIGHT);
+        const timeMs = Math.min(render.scrollTimeMs || DEFAULT_SCROLL_TIME_MS, MAX_SCROLL_TIME_MS);
+        const stop = await autoScroll(page, maxHeight, timeMs);
+        if (stop !== 'end') {
+            warnings.push(`render.autoScroll stopped at the ${stop === 'height' ? `height limit (${maxHeight} px)` : `time limit (${timeMs} ms)`}`);
+        }
+    }
+
+    if (render.clickSelectors) {
+        const maxClicks = Math.min(render.maxClicks || DEFAULT_CLICKS, MAX_CLICKS);
+        const clicks = await clickAll(page, render.clickSelectors, maxClicks);
+        if (!clicks) {
+            warnings.push('render.clickSelectors matched no visible element');
+        }
+    }
+
+    return warnings;
+}
+
+// Capture the rendered page, as asked by capture: { screenshot, pdf }
+// (printing to PDF is only supported by Chromium)
+// Resolves { captures: { screenshot, pdf } as buffers, warnings }
+async function capturePage(page, capture, engine) {
+    const captures = {};
+    const warnings = [];
+
+    if (capture.screenshot) {
+        try {
+            captures.screenshot = await page.screenshot({ fullPage: true, type: 'png' });
+        } catch (error) {
+            warnings.push(`Screenshot failed: ${error.message.split('\n')[0]}`);
+        }
+    }
+
+    if (capture.pdf && engine !== 'chromium') {
+        warnings.push(`No PDF: the page was rendered by ${engine}, only Chromium prints to PDF`);
+    } else if (capture.pdf) {
+        try {
+            captures.pdf = await page.pdf({ printBackground: true });
+        } catch (error) {
+            warnings.push(`PDF printing failed: ${error.message.split('\n')[0]}`);
+        }
+    }
+
+    return { captures, warnings };
+}
+
+module.exports = {
+    capturePage,
+    renderOptionsError,
+    renderPage
+};
@@ -0,0 +1,175 @@
+/**
+ * Sanitized minimal HTML renderer
+ * Only emits a fixed set of semantic tags built from the document model, so no
+ * scripts, styles, event handlers or unknown attributes can survive.
+ */
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Only keep links to web and mail destinations
+function safeUrl(url) {
+    return /^(https?:|mailto:)/i.test(url || '') ? url : '';
+}
+
+function renderMedia(media) {
+    const src = safeUrl(media.src);
+
+    switch (media.kind) {
+        case 'image': {
+            if (!src) return escapeHtml(media.alt || '');
+            const title = media.title ? ` title="${escapeHtml(media.title)}"` : '';
+            return `<img src="${escapeHtml(src)}" alt="${escapeHtml(media.alt || '')}"${title}>`;
+        }
+        case 'video':
+        case 'audio': {
+            if (!src) return '';
+            const poster = media.kind === 'video' && safeUrl(media.poster) ? ` poster="${escapeHtml(media.poster)}"` : '';
+            const title = media.title ? ` title="${escapeHtml(media.title)}"` : '';
+            return `<${media.kind} src="${escapeHtml(src)}" controls${poster}${title}></${media.kind}>`;
+        }
+        default:
+            // Embedded frames are reduced to a plain link
+            if (!src) return '';
+            return `<a href="${escapeHtml(src)}">${escapeHtml(media.title || media.name || src)}</a>`;
+    }
+}
+
+function renderInlines(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return escapeHtml(node.value);
+            case 'code':
+                return `<code>${escapeHtml(node.value)}</code>`;
+            case 'break':
+                return '<br>';
+            case 'media':
+                return renderMedia(node);
+            case 'strong':
+                return `<strong>${renderInlines(node.children)}</strong>`;
+            case 'emphasis':
+                return `<em>${renderInlines(node.children)}</em>`;
+            case 'link': {
+                const href = safeUrl(node.href);
+                const content = renderInlines(node.children);
+                if (!href) return content;
+                const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+                return `<a href="${escapeHtml(href)}"${title}>${content}</a>`;
+            }
+            default:
+                return node.children ? renderInlines(node.children) : '';
+        }
+    }).join('');
+}
+
+// The model repeats spanned cells in every grid slot; emit each once with its span
+function renderTableRows(rows, cellTag) {
+    const rendered = new Set();
+
+    return rows.map((row, r) => {
+        const cells = row.map((cell, c) => {
+            if (rendered.has(cell)) return '';
+            rendered.add(cell);
+
+            let colspan = 1;
+            while (row[c + colspan] === cell) colspan++;
+            let rowspan = 1;
+            while (rows[r + rowspan] && rows[r + rowspan][c] === cell) rowspan++;
+
+            const tag = cell.header ? 'th' : cellTag;
+            const spans = (colspan > 1 ? ` colspan="${colspan}"` : '') + (rowspan > 1 ? ` rowspan="${rowspan}"` : '');
+            return `<${tag}${spans}>${renderInlines(cell.children)}</${tag}>`;
+        }).join('');
+        return `<tr>${cells}</tr>`;
+    }).join('\n');
+}
+
+function renderTable(table) {
+    const parts = ['<table>'];
+    if (table.caption) parts.push(`<caption>${escapeHtml(table.caption)}</caption>`);
+    if (table.head.length) parts.push('<thead>', renderTableRows(table.head, 'th'), '</thead>');
+    if (table.body.length) parts.push('<tbody>', renderTableRows(table.body, 'td'), '</tbody>');
+    parts.push('</table>');
+    return parts.join('\n');
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'heading':
+            return `<h${block.level}>${renderInlines(block.children)}</h${block.level}>`;
+        case 'paragraph':
+            return `<p>${renderInlines(block.children)}</p>`;
+        case 'media':
+            return `<figure>${renderMedia(block)}</figure>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            const items = block.items.map(item => `<li>${renderBlocks(item.blocks)}</li>`).join('\n');
+            return `<${tag}${start}>\n${items}\n</${tag}>`;
+        }
+        case 'definitionList': {
+            const items = block.items.map(item => {
+                const tag = item.type === 'term' ? 'dt' : 'dd';
+                return `<${tag}>${renderBlocks(item.blocks)}</${tag}>`;
+            }).join('\n');
+            return `<dl>\n${items}\n</dl>`;
+        }
+        case 'blockquote':
+            return `<blockquote>\n${renderBlocks(block.blocks)}\n</blockquote>`;
+        case 'code': {
+            const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+            return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+        }
+        case 'raw':
+            return `<pre>${escapeHtml(block.text)}</pre>`;
+        case 'pageMarker':
+            return `<p>[PAGE ${block.number}]</p>`;
+        case 'table':
+            return renderTable(block);
+        case 'thematicBreak':
+            return '<hr>';
+        default:
+            return '';
+    }
+}
+
+function renderBlocks(blocks) {
+    return blocks.map(renderBlock).filter(Boolean).join('\n');
+}
+
+function renderHtml(document) {
+    const head = ['<meta charset="utf-8">'];
+
+    if (document.title) {
+        head.push(`<title>${escapeHtml(document.title)}</title>`);
+    }
+
+    if (document.description) {
+        head.push(`<meta name="description" content="${escapeHtml(document.description)}">`);
+    }
+
+    if (safeUrl(document.url)) {
+        head.push(`<link rel="canonical" href="${escapeHtml(document.url)}">`);
+    }
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        ...head,
+        '</head>',
+        '<body>',
+        renderBlocks(document.blocks),
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+module.exports = renderHtml;
@@ -0,0 +1,30 @@
+/**
+ * Output renderers for the extracted document model
+ */
+
+const renderText = require('./text');
+const renderMarkdown = require('./markdown');
+const renderHtml = require('./html');
+
+const renderersByFormat = {
+    text: renderText,
+    markdown: renderMarkdown,
+    json: document => JSON.stringify(document, null, 2),
+    html: renderHtml
+};
+
+const FORMATS = Object.keys(renderersByFormat);
+
+// options.metadataHeader adds the page metadata to the text header
+function render(document, format = 'text', options = {}) {
+    const renderer = renderersByFormat[format];
+    if (!renderer) {
+        throw new Error(`Unsupported format: ${format} (expected one of ${FORMATS.join(', ')})`);
+    }
+    return renderer(document, options);
+}
+
+module.exports = {
+    FORMATS,
+    render
+};
@@ -0,0 +1,165 @@
+/**
+ * CommonMark renderer (tables use the GFM pipe table extension)
+ */
+
+const { formatPipeTable } = require('../tables');
+
+// Escape characters that would otherwise be read as Markdown syntax
+function escapeText(value) {
+    return value.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+// Escape block markers at the start of a rendered line
+function escapeLineStart(line) {
+    return line
+        .replace(/^(\s*)([#+-])(?=\s|$)/, '$1\\$2')
+        .replace(/^(\s*)(\d+)([.)])(?=\s|$)/, '$1$2\\$3');
+}
+
+function escapeUrl(url) {
+    if (/[\s()<>]/.test(url)) {
+        return `<${url.replace(/[<>]/g, encodeURIComponent).replace(/ /g, '%20')}>`;
+    }
+    return url;
+}
+
+function escapeTitle(title) {
+    return title ? ` "${title.replace(/["\\]/g, '\\$&')}"` : '';
+}
+
+function inlineCode(value) {
+    const longestRun = Math.max(0, ...(value.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = value.startsWith('`') || value.endsWith('`') ? ' ' : '';
+    return fence + padding + value + padding + fence;
+}
+
+function renderMedia(media) {
+    if (media.kind === 'image') {
+        if (!media.src) return escapeText(media.alt || '');
+        return `![${escapeText(media.alt || '')}](${escapeUrl(media.src)}${escapeTitle(media.title)})`;
+    }
+    const label = media.kind === 'iframe' ? 'Embedded content' : media.kind === 'video' ? 'Video' : 'Audio';
+    const description = escapeText(media.title || media.name || label);
+    return media.src ? `[${description}](${escapeUrl(media.src)})` : description;
+}
+
+function renderInlines(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return escapeText(node.value);
+            case 'code':
+                return inlineCode(node.value);
+            case 'break':
+                return '\\\n';
+            case 'media':
+                return renderMedia(node);
+            case 'strong': {
+                const content = renderInlines(node.children);
+                return content.trim() ? `**${content}**` : content;
+            }
+            case 'emphasis': {
+                const content = renderInlines(node.children);
+                return content.trim() ? `*${content}*` : content;
+            }
+            case 'link': {
+                const content = renderInlines(node.children).trim();
+                if (!content) return `<${node.href}>`;
+                return `[${content}](${escapeUrl(node.href)}${escapeTitle(node.title)})`;
+            }
+            default:
+                return node.children ? renderInlines(node.children) : '';
+        }
+    }).join('');
+}
+
+function renderParagraph(nodes) {
+    return renderInlines(nodes).split('\n').map(escapeLineStart).join('\n').trim();
+}
+
+function indent(text, width) {
+    const prefix = ' '.repeat(width);
+    return text.split('\n').map(line => line ? prefix + line : line).join('\n');
+}
+
+function renderList(list) {
+    let counter = list.start || 1;
+
+    return list.items.map(item => {
+        const marker = list.ordered ? `${counter++}.` : '-';
+        const content = item.blocks.map((block, index) => {
+            const rendered = renderBlock(block);
+            // Keep the item tight when a nested list directly follows its text
+            if (index === 0) return rendered;
+            return (block.type === 'list' ? '\n' : '\n\n') + rendered;
+        }).join('');
+        const [first, ...rest] = content.split('\n');
+        return `${marker} ${first}` + (rest.length ? '\n' + indent(rest.join('\n'), marker.length + 1) : '');
+    }).join('\n');
+}
+
+function renderCode(block) {
+    const longestRun = Math.max(2, ...(block.text.match(/^`{3,}/gm) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${block.language || ''}\n${block.text}\n${fence}`;
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'heading':
+            return '#'.repeat(block.level) + ' ' + renderInlines(block.children).replace(/\\\n/g, ' ').trim();
+        case 'paragraph':
+            return renderParagraph(block.children);
+        case 'media':
+            return renderMedia(block);
+        case 'list':
+            return renderList(block);
+        case 'definitionList':
+            return block.items.map(item => {
+                const content = renderBlocks(item.blocks);
+                return item.type === 'term' ? `**${content}**` : content;
+            }).join('\n\n');
+        case 'blockquote':
+            return renderBlocks(block.blocks).split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+        case 'code':
+            return renderCode(block);
+        case 'table': {
+            const table = formatPipeTable(block, renderInlines);
+            return block.caption ? `*${escapeText(block.caption)}*\n\n${table}` : table;
+        }
+        case 'raw':
+            // Plain text and Markdown documents are passed through
+            return block.text;
+        case 'pageMarker':
+            return escapeText(`[PAGE ${block.number}]`);
+        case 'thematicBreak':
+            return '---';
+        default:
+            return '';
+    }
+}
+
+function renderBlocks(blocks) {
+    return blocks.map(renderBlock).filter(Boolean).join('\n\n');
+}
+
+function renderMarkdown(document) {
+    let markdown = '';
+
+    if (document.title) {
+        markdown += `# ${escapeText(document.title)}\n\n`;
+    }
+
+    if (document.description) {
+        markdown += `> ${escapeText(document.description)}\n\n`;
+    }
+
+    markdown += `Source: <${document.url}>\n\n`;
+    markdown += '---\n\n';
+    markdown += renderBlocks(document.blocks);
+
+    return markdown;
+}
+
+module.exports = renderMarkdown;
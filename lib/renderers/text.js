@@ -0,0 +1,153 @@
+/**
+ * Plain text renderer
+ * Keeps the historical TITLE/DESCRIPTION/URL/---CONTENT--- header and the
+ * "text [url]" / "[IMAGE: ...]" conventions that existing consumers rely on.
+ */
+
+const { formatPipeTable } = require('../tables');
+
+const MAX_PLACEHOLDER_LENGTH = 200;
+
+function clip(value) {
+    return (value || '').substring(0, MAX_PLACEHOLDER_LENGTH);
+}
+
+function describeMedia(media) {
+    switch (media.kind) {
+        case 'image': {
+            const description = clip(media.alt || media.title || media.src);
+            return description ? `[IMAGE: ${description}]` : '[IMAGE]';
+        }
+        case 'video':
+            return `[VIDEO: ${clip(media.title || media.src || media.poster) || 'embedded video'}]`;
+        case 'audio':
+            return `[AUDIO: ${clip(media.title || media.src) || 'embedded audio'}]`;
+        default:
+            return `[IFRAME: ${clip(media.title || media.name || media.src) || 'embedded content'}]`;
+    }
+}
+
+function renderInlines(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+            case 'code':
+                return node.value;
+            case 'break':
+                return '\n';
+            case 'media':
+                return ` ${describeMedia(node)} `;
+            case 'link': {
+                const content = renderInlines(node.children).trim();
+                return content ? `${content} [${node.href}]` : '';
+            }
+            default:
+                return node.children ? renderInlines(node.children) : '';
+        }
+    }).join('');
+}
+
+function renderInlineText(nodes) {
+    return renderInlines(nodes)
+        .replace(/ {2,}/g, ' ')
+        .replace(/ ?\n ?/g, '\n')
+        .trim();
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => line ? prefix + line : line).join('\n');
+}
+
+function renderList(list) {
+    let counter = list.start || 1;
+
+    return list.items.map(item => {
+        const content = item.blocks.map(renderBlock).filter(Boolean).join('\n');
+        const marker = list.ordered ? `${counter++}.` : '•';
+        const [first, ...rest] = content.split('\n');
+        const continuation = ' '.repeat(marker.length + 1);
+        return `${marker} ${first}` + rest.map(line => '\n' + (line ? continuation + line : line)).join('');
+    }).join('\n');
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'heading':
+            return '#'.repeat(block.level) + ' ' + renderInlineText(block.children);
+        case 'paragraph':
+            return renderInlineText(block.children);
+        case 'media':
+            return describeMedia(block);
+        case 'list':
+            return renderList(block);
+        case 'definitionList':
+            return block.items.map(item => {
+                const content = item.blocks.map(renderBlock).filter(Boolean).join('\n');
+                return item.type === 'definition' ? indent(content, '  ') : content;
+            }).join('\n');
+        case 'blockquote':
+            return indent(renderBlocks(block.blocks), '> ').replace(/^$/gm, '>');
+        case 'code':
+        case 'raw':
+            return block.text;
+        case 'pageMarker':
+            return `[PAGE ${block.number}]`;
+        case 'table': {
+            const table = formatPipeTable(block, renderInlineText);
+            return block.caption ? `Table: ${block.caption}\n\n${table}` : table;
+        }
+        default:
+            return '';
+    }
+}
+
+function renderBlocks(blocks) {
+    return blocks.map(renderBlock).filter(Boolean).join('\n\n');
+}
+
+// Optional header lines built from the page metadata
+function metadataLines(metadata) {
+    const lines = [];
+    const add = (label, value) => {
+        if (value) lines.push(`${label}: ${value}`);
+    };
+
+    add('AUTHOR', metadata.author);
+    add('PUBLISHED', metadata.publishedTime);
+    add('MODIFIED', metadata.modifiedTime);
+    add('LANGUAGE', metadata.language);
+    add('SITE', metadata.siteName);
+    add('TYPE', metadata.type);
+    add('CANONICAL', metadata.canonical);
+    add('IMAGE', metadata.image);
+    add('KEYWORDS', metadata.keywords.join(', '));
+
+    return lines;
+}
+
+function renderText(document, options = {}) {
+    let structuredContent = '';
+
+    if (document.title) {
+        structuredContent += `TITLE: ${document.title}\n\n`;
+    }
+
+    if (document.description) {
+        structuredContent += `DESCRIPTION: ${document.description}\n\n`;
+    }
+
+    if (options.metadataHeader && document.metadata) {
+        const lines = metadataLines(document.metadata);
+        if (lines.length) {
+            structuredContent += lines.join('\n') + '\n\n';
+        }
+    }
+
+    structuredContent += `URL: ${document.url}\n\n`;
+    structuredContent += '---CONTENT---\n\n';
+    structuredContent += renderBlocks(document.blocks);
+
+    return structuredContent;
+}
+
+module.exports = renderText;
@@ -0,0 +1,215 @@
+/**
+ * robots.txt compliance
+ * Fetches and caches robots.txt per origin, picks the group matching our
+ * user-agent token, applies Allow/Disallow rules (longest match wins, Allow on
+ * ties, `*` and `$` wildcards) and enforces Crawl-delay between requests.
+ * Follows RFC 9309: a missing robots.txt (4xx) allows everything, an
+ * unreachable one (5xx, network error) disallows everything.
+ */
+
+// How long a fetched robots.txt is trusted
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+
+// Longest Crawl-delay honored, so one site cannot stall a request indefinitely
+const MAX_CRAWL_DELAY_S = 30;
+
+// origin → { robots, fetchedAt }
+const robotsCache = new Map();
+
+// origin → time (ms) before which the next request must wait
+const nextAllowedAt = new Map();
+
+// Parse robots.txt into groups of { agents, rules: [{ type, path, line, pattern }], crawlDelay }
+function parseRobots(text) {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!match) return;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share the group that follows them
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+
+        lastWasAgent = false;
+        if (!group) return;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            group.rules.push({ type: field, path: value, line: index + 1, pattern: compileRule(value) });
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (delay >= 0) group.crawlDelay = delay;
+        }
+    });
+
+    return groups;
+}
+
+// Rules of the groups naming our product token, else of the `*` groups
+// (several groups for the same agent are merged)
+function matchGroup(groups, userAgent) {
+    const token = userAgent.toLowerCase();
+    const named = groups.filter(group => group.agents.some(agent => agent.split('/')[0] === token));
+    const matched = named.length ? named : groups.filter(group => group.agents.includes('*'));
+    if (!matched.length) return null;
+
+    const delays = matched.map(group => group.crawlDelay).filter(delay => delay !== null);
+    return {
+        agent: named.length ? token : '*',
+        rules: matched.flatMap(group => group.rules),
+        crawlDelay: delays.length ? Math.max(...delays) : null
+    };
+}
+
+// Pattern of a rule path, matched against the whole URL path: a rule not
+// anchored by a trailing `$` matches as a prefix (an implicit trailing `*`),
+// and runs of `*` collapse into one
+function compileRule(path) {
+    const pattern = path.endsWith('$') ? path.slice(0, -1) : `${path}*`;
+    return pattern.replace(/\*+/g, '*');
+}
+
+// Match a path against a compiled pattern with two pointers: on a mismatch, the
+// last `*` seen absorbs one more character and matching resumes just after it.
+// Only that `*` is ever revisited, so rules such as `/a*a*a*...*b` cost at most
+// path × pattern steps instead of the exponential backtracking of a RegExp
+function matchesPattern(pattern, path) {
+    let p = 0;
+    let i = 0;
+    let star = -1;
+    let resume = 0;
+
+    while (i < path.length) {
+        if (p < pattern.length && pattern[p] === '*') {
+            star = p++;
+            resume = i;
+        } else if (p < pattern.length && pattern[p] === path[i]) {
+            p++;
+            i++;
+        } else if (star !== -1) {
+            p = star + 1;
+            i = ++resume;
+        } else {
+            return false;
+        }
+    }
+
+    while (pattern[p] === '*') p++;
+    return p === pattern.length;
+}
+
+// Decide for a path (with query): the longest matching rule wins, Allow on ties
+function evaluate(group, path) {
+    let decisive = null;
+
+    for (const rule of group.rules) {
+        if (!matchesPattern(rule.pattern, path)) continue;
+        const longer = !decisive || rule.path.length > decisive.path.length;
+        const allowTie = decisive && rule.path.length === decisive.path.length && rule.type === 'allow';
+        if (longer || allowTie) decisive = rule;
+    }
+
+    return decisive;
+}
+
+async function loadRobots(origin, fetchText) {
+    const cached = robotsCache.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.robots;
+
+    let robots;
+    try {
+        robots = { status: 'ok', groups: parseRobots(await fetchText(`${origin}/robots.txt`)) };
+    } catch (error) {
+        robots = error.status >= 400 && error.status < 500
+            ? { status: 'missing', groups: [] }
+            : { status: 'unreachable', groups: [], reason: error.message };
+    }
+
+    robotsCache.set(origin, { robots, fetchedAt: Date.now() });
+    return robots;
+}
+
+// Check a URL against its site's robots.txt.
+// fetchText(url) resolves a document as text, rejecting with error.status on HTTP errors
+// Resolves { allowed, robotsUrl, agent, rule, crawlDelay, reason }
+async function checkRobots(url, userAgent, fetchText) {
+    const parsed = new URL(url);
+    const robotsUrl = `${parsed.origin}/robots.txt`;
+    const robots = await loadRobots(parsed.origin, fetchText);
+
+    if (robots.status === 'unreachable') {
+        return { allowed: false, robotsUrl, reason: `robots.txt could not be fetched (${robots.reason})` };
+    }
+
+    const group = matchGroup(robots.groups, userAgent);
+    if (!group) return { allowed: true, robotsUrl, crawlDelay: null };
+
+    const rule = evaluate(group, parsed.pathname + parsed.search);
+    return {
+        allowed: !rule || rule.type === 'allow',
+        robotsUrl,
+        agent: group.agent,
+        rule,
+        crawlDelay: group.crawlDelay
+    };
+}
+
+function abortError() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Wait for the Crawl-delay of an origin, then reserve the next slot
+// options: { signal } gives up waiting, { maxWaitMs } refuses (429) a slot further away
+async function waitForCrawlDelay(url, crawlDelay, { signal, maxWaitMs = Infinity } = {}) {
+    if (!crawlDelay) return;
+    if (signal && signal.aborted) throw abortError();
+
+    const origin = new URL(url).origin;
+    const delayMs = Math.min(crawlDelay, MAX_CRAWL_DELAY_S) * 1000;
+    const now = Date.now();
+    const startAt = Math.max(now, nextAllowedAt.get(origin) || 0);
+
+    if (startAt - now > maxWaitMs) {
+        const error = new Error(`Crawl-delay of ${origin}: the next request is allowed in ${Math.ceil((startAt - now) / 1000)}s, past the request timeout`);
+        error.statusCode = 429;
+        throw error;
+    }
+
+    nextAllowedAt.set(origin, startAt + delayMs);
+    if (startAt <= now) return;
+
+    await new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            // Give the slot back unless a later request reserved the one after it
+            if (nextAllowedAt.get(origin) === startAt + delayMs) nextAllowedAt.set(origin, startAt);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, startAt - now);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+module.exports = {
+    checkRobots,
+    waitForCrawlDelay
+};
@@ -0,0 +1,113 @@
+/**
+ * CSS selectors
+ * The include/exclude rules of extraction requests, matched by css-select.
+ * Selectors are checked before use so matching stays linear in the page: their
+ * length and number of parts are bounded, and the constructs css-select matches
+ * by backtracking over siblings (`~`, :has(), :nth-child() and the like) are refused.
+ */
+
+const { parse } = require('css-what');
+const { compile, selectAll: matchAll } = require('css-select');
+
+// Selectors per include/exclude list
+const MAX_SELECTORS = 20;
+
+// Characters per selector
+const MAX_SELECTOR_LENGTH = 256;
+
+// Compound selectors per complex selector, those of :not()/:is() arguments included
+const MAX_COMPOUNDS = 8;
+
+// Pseudo-classes whose cost does not grow with the page (:has(), :nth-child()
+// and the *-of-type ones, which scan siblings, are left out)
+const PSEUDO_CLASSES = ['not', 'is', 'where', 'empty', 'first-child', 'last-child', 'only-child'];
+
+// Combinators matched without backtracking: each adds a compound selector
+const COMBINATORS = ['descendant', 'child', 'adjacent'];
+
+// Number of compound selectors of a complex selector (parsed by css-what), those
+// of its pseudo-class arguments included
+function countCompounds(tokens, fail) {
+    let compounds = 1;
+
+    for (const token of tokens) {
+        if (COMBINATORS.includes(token.type)) {
+            compounds++;
+        } else if (token.type === 'sibling') {
+            fail('unsupported combinator "~"');
+        } else if (token.type === 'pseudo-element') {
+            fail(`unsupported pseudo-element ::${token.name}`);
+        } else if (token.type === 'pseudo') {
+            if (!PSEUDO_CLASSES.includes(token.name)) fail(`unsupported pseudo-class :${token.name}`);
+            if (Array.isArray(token.data)) {
+                token.data.forEach(argument => {
+                    compounds += countCompounds(argument, fail);
+                });
+            }
+        } else if (!['tag', 'universal', 'attribute'].includes(token.type)) {
+            fail(`unsupported ${token.type} selector`);
+        }
+    }
+    return compounds;
+}
+
+// Compile a selector list into a test on elements (throws when it is invalid or too complex)
+function compileSelector(text) {
+    const fail = reason => {
+        throw new Error(`Invalid selector "${text}": ${reason}`);
+    };
+
+    if (text.length > MAX_SELECTOR_LENGTH) fail(`longer than ${MAX_SELECTOR_LENGTH} characters`);
+
+    let selectors;
+    try {
+        selectors = parse(text);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    for (const tokens of selectors) {
+        if (countCompounds(tokens, fail) > MAX_COMPOUNDS) fail(`more than ${MAX_COMPOUNDS} compound selectors`);
+    }
+
+    try {
+        return compile(text);
+    } catch (error) {
+        return fail(error.message);
+    }
+}
+
+// Elements of nodes (and of their descendants) matching a selector, in document order
+function selectAll(text, nodes) {
+    return matchAll(compileSelector(text), nodes);
+}
+
+// Validate the selector list option called name
+// Returns an error message, or null when it is valid
+function selectorsError(name, selectors) {
+    if (selectors === undefined) return null;
+    if (!Array.isArray(selectors) || !selectors.every(selector => typeof selector === 'string' && selector.trim())) {
+        return `${name} must be a list of CSS selectors`;
+    }
+    // An empty include list would keep nothing: leave the option out instead
+    if (!selectors.length) {
+        return `${name} must list at least one selector`;
+    }
+    if (selectors.length > MAX_SELECTORS) {
+        return `${name}: at most ${MAX_SELECTORS} selectors`;
+    }
+
+    for (const selector of selectors) {
+        try {
+            compileSelector(selector);
+        } catch (error) {
+            return `${name}: ${error.message}`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    selectAll,
+    selectorsError
+};
@@ -0,0 +1,156 @@
+/**
+ * Sitemap discovery and reading
+ * Finds the sitemaps of a site (robots.txt `Sitemap:` lines, then /sitemap.xml),
+ * follows sitemap index files and lists the page URLs with their lastmod date,
+ * filtered by date range and URL patterns.
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { compilePatterns, normalizeUrl, resolveUrl } = require('./url-utils');
+
+// Sitemap files read per request (index files included)
+const MAX_SITEMAPS = 50;
+
+// Page URLs collected per request
+const MAX_SITEMAP_URLS = 50000;
+
+function localName(el) {
+    return el.name.toLowerCase().split(':').pop();
+}
+
+function childText(el, name) {
+    const child = el.children.find(node => DomUtils.isTag(node) && localName(node) === name);
+    return child ? DomUtils.textContent(child).trim() : '';
+}
+
+// Parse a sitemap or sitemap index.
+// Returns { type: 'urlset' | 'sitemapindex', entries: [{ loc, lastmod }] } or null
+function parseSitemap(text, baseUrl) {
+    const dom = parseDocument(text, { xmlMode: true });
+    const root = dom.children.find(node => DomUtils.isTag(node));
+    if (!root) return null;
+
+    const type = localName(root);
+    const entryName = { urlset: 'url', sitemapindex: 'sitemap' }[type];
+    if (!entryName) return null;
+
+    const entries = root.children
+        .filter(node => DomUtils.isTag(node) && localName(node) === entryName)
+        .map(node => ({ loc: childText(node, 'loc'), lastmod: childText(node, 'lastmod') }))
+        .filter(entry => entry.loc)
+        .map(entry => ({ loc: resolveUrl(entry.loc, baseUrl), lastmod: entry.lastmod }));
+
+    return { type, entries };
+}
+
+// `Sitemap:` lines of a robots.txt
+function robotsSitemaps(text, baseUrl) {
+    return text.split(/\r?\n/)
+        .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+        .filter(Boolean)
+        .map(match => resolveUrl(match[1], baseUrl));
+}
+
+// Sitemaps of a site: the ones robots.txt declares, or /sitemap.xml
+// fetchText(url) resolves the body of a URL as text and throws when it is unavailable
+async function discoverSitemaps(siteUrl, fetchText) {
+    const origin = new URL(siteUrl).origin;
+
+    try {
+        const declared = robotsSitemaps(await fetchText(`${origin}/robots.txt`), origin);
+        if (declared.length) return { sitemaps: [...new Set(declared)], source: 'robots.txt' };
+    } catch {
+        // No robots.txt: fall back to the conventional location
+    }
+
+    return { sitemaps: [`${origin}/sitemap.xml`], source: 'default' };
+}
+
+function dateFilter(since, until) {
+    const from = since ? Date.parse(since) : null;
+    const to = until ? Date.parse(until) : null;
+
+    for (const [name, value] of [['since', from], ['until', to]]) {
+        if (Number.isNaN(value)) {
+            const error = new Error(`Invalid ${name} date`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    if (from === null && to === null) return () => true;
+
+    // With a date range, entries without (or with an unreadable) lastmod are left out
+    return lastmod => {
+        const time = Date.parse(lastmod);
+        if (Number.isNaN(time)) return false;
+        return (from === null || time >= from) && (to === null || time <= to);
+    };
+}
+
+// Read sitemaps (following index files) and list their page URLs.
+// options: { since, until, include, exclude }
+// Resolves { sitemaps, errors: [{ url, error, status }], urls: [{ loc, lastmod }], truncated }
+async function collectSitemapUrls(sitemapUrls, fetchText, options = {}) {
+    const inRange = dateFilter(options.since, options.until);
+    const since = options.since ? Date.parse(options.since) : null;
+    const includes = compilePatterns(options.include);
+    const excludes = compilePatterns(options.exclude);
+
+    const queue = [...sitemapUrls];
+    const visited = new Set();
+    const seen = new Set();
+    const urls = [];
+    const errors = [];
+    let truncated = false;
+
+    while (queue.length) {
+        if (visited.size >= MAX_SITEMAPS) {
+            truncated = true;
+            break;
+        }
+
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+
+        let sitemap;
+        try {
+            sitemap = parseSitemap(await fetchText(sitemapUrl), sitemapUrl);
+            if (!sitemap) throw new Error('Not a sitemap');
+        } catch (error) {
+            errors.push({ url: sitemapUrl, error: error.message, status: error.statusCode });
+            continue;
+        }
+
+        if (sitemap.type === 'sitemapindex') {
+            // A child sitemap last modified before the range holds no page in it
+            queue.push(...sitemap.entries
+                .filter(entry => since === null || !(Date.parse(entry.lastmod) < since))
+                .map(entry => entry.loc));
+            continue;
+        }
+
+        for (const entry of sitemap.entries) {
+            const url = normalizeUrl(entry.loc);
+            if (!url || seen.has(url) || !inRange(entry.lastmod)) continue;
+            if (includes.length && !includes.some(matches => matches(url))) continue;
+            if (excludes.some(matches => matches(url))) continue;
+
+            seen.add(url);
+            urls.push({ loc: entry.loc, lastmod: entry.lastmod });
+            if (urls.length >= MAX_SITEMAP_URLS) {
+                truncated = true;
+                queue.length = 0;
+                break;
+            }
+        }
+    }
+
+    return { sitemaps: [...visited], errors, urls, truncated };
+}
+
+module.exports = {
+    collectSitemapUrls,
+    discoverSitemaps
+};
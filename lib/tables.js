@@ -0,0 +1,104 @@
+/**
+ * Table helpers for the document model
+ * Shared by the renderers (Markdown pipe tables) and by /api/extract, which can
+ * return every table as data (CSV and JSON rows) next to the extracted content.
+ */
+
+// Plain text of inline nodes (link targets and media are reduced to their labels)
+function inlineText(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+            case 'code':
+                return node.value;
+            case 'break':
+                return ' ';
+            case 'media':
+                return node.alt || node.title || '';
+            default:
+                return node.children ? inlineText(node.children) : '';
+        }
+    }).join('').replace(/\s+/g, ' ').trim();
+}
+
+// Markdown tables have a single header row: several <thead> rows are merged column by column
+function headerRow(table) {
+    if (!table.head.length) return null;
+    return table.head[0].map((_, column) => {
+        const labels = [];
+        for (const row of table.head) {
+            if (row[column] && !labels.includes(row[column])) labels.push(row[column]);
+        }
+        return labels;
+    });
+}
+
+function escapePipes(value) {
+    return value.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// Format a pipe table; renderCell turns a cell's inline nodes into a string
+function formatPipeTable(table, renderCell) {
+    const render = cell => escapePipes(renderCell(cell.children)).trim();
+    const merged = headerRow(table);
+    let header;
+    let rows;
+
+    if (merged) {
+        header = merged.map(labels => labels.map(render).filter(Boolean).join(' '));
+        rows = table.body.map(row => row.map(render));
+    } else {
+        // GFM needs a header row: promote the first body row
+        header = table.body[0].map(render);
+        rows = table.body.slice(1).map(row => row.map(render));
+    }
+
+    const widths = header.map((cell, column) => Math.max(3, cell.length, ...rows.map(row => row[column].length)));
+    const line = cells => '| ' + cells.map((cell, column) => cell.padEnd(widths[column])).join(' | ') + ' |';
+
+    return [
+        line(header),
+        '| ' + widths.map(width => '-'.repeat(width)).join(' | ') + ' |',
+        ...rows.map(line)
+    ].join('\n');
+}
+
+function csvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toCsv(columns, rows) {
+    const lines = columns.length ? [columns] : [];
+    return lines.concat(rows).map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+function collectTables(blocks, tables = []) {
+    for (const block of blocks) {
+        if (block.type === 'table') {
+            tables.push(block);
+        } else if (block.blocks) {
+            collectTables(block.blocks, tables);
+        } else if (block.items) {
+            block.items.forEach(item => collectTables(item.blocks, tables));
+        }
+    }
+    return tables;
+}
+
+// Every table of a document as data: column names, rows of cell text and CSV
+function extractTables(document) {
+    return collectTables(document.blocks).map((table, index) => {
+        const merged = headerRow(table);
+        const columns = merged ? merged.map(labels => labels.map(cell => inlineText(cell.children)).filter(Boolean).join(' ')) : [];
+        const rows = table.body.map(row => row.map(cell => inlineText(cell.children)));
+        const result = { index, columns, rows, csv: toCsv(columns, rows) };
+        if (table.caption) result.caption = table.caption;
+        return result;
+    });
+}
+
+module.exports = {
+    extractTables,
+    formatPipeTable,
+    inlineText
+};
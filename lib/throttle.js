@@ -0,0 +1,118 @@
+/**
+ * Request throttling
+ * Outbound: per-host slots bounding the concurrent requests to a host and
+ * spacing their starts by a minimum delay. Inbound: fixed-window request
+ * counters per client key.
+ */
+
+// host → { active, queue: [{ grant }], nextStartAt, timer }
+const hosts = new Map();
+
+// client key → { count, resetAt }
+const windows = new Map();
+
+// Counters kept before expired windows are swept
+const MAX_WINDOWS = 10000;
+
+function abortError() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Start as many queued requests as the host's limits allow
+function pump(host, limits) {
+    const state = hosts.get(host);
+    if (state.timer) return;
+
+    while (state.queue.length && state.active < limits.concurrency) {
+        const wait = state.nextStartAt - Date.now();
+        if (wait > 0) {
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                pump(host, limits);
+            }, wait);
+            return;
+        }
+
+        state.active++;
+        state.nextStartAt = Date.now() + limits.minDelayMs;
+        state.queue.shift().grant();
+    }
+}
+
+// Hosts without requests whose delay has passed have nothing left to enforce
+function sweepHosts() {
+    const now = Date.now();
+    for (const [host, state] of hosts) {
+        if (!state.active && !state.queue.length && state.nextStartAt <= now) hosts.delete(host);
+    }
+}
+
+// Wait for a request slot on a host.
+// limits: { concurrency, minDelayMs }; signal (optional) gives up waiting
+// Resolves release(), to call once the request is over
+function acquireHost(host, limits, signal) {
+    if (signal && signal.aborted) return Promise.reject(abortError());
+    if (!hosts.has(host)) {
+        sweepHosts();
+        hosts.set(host, { active: 0, queue: [], nextStartAt: 0, timer: null });
+    }
+    const state = hosts.get(host);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            state.queue.splice(state.queue.indexOf(waiter), 1);
+            reject(abortError());
+            pump(host, limits);
+        };
+
+        const waiter = {
+            grant: () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                let released = false;
+                resolve(() => {
+                    if (released) return;
+                    released = true;
+                    state.active--;
+                    pump(host, limits);
+                });
+            }
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        state.queue.push(waiter);
+        pump(host, limits);
+    });
+}
+
+// Count a request against a client's window.
+// limits: { max, windowMs }
+// Returns { allowed, remaining, retryAfterS }
+function takeRequest(key, limits) {
+    const now = Date.now();
+
+    if (windows.size > MAX_WINDOWS) {
+        for (const [client, window] of windows) {
+            if (window.resetAt <= now) windows.delete(client);
+        }
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + limits.windowMs };
+        windows.set(key, window);
+    }
+
+    window.count++;
+    return {
+        allowed: window.count <= limits.max,
+        remaining: Math.max(limits.max - window.count, 0),
+        retryAfterS: Math.ceil((window.resetAt - now) / 1000)
+    };
+}
+
+module.exports = {
+    acquireHost,
+    takeRequest
+};
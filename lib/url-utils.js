@@ -0,0 +1,102 @@
+/**
+ * URL helpers shared by the extractors, the crawler and the sitemap reader
+ */
+
+function resolveUrl(url, base) {
+    try {
+        return new URL(url, base).href;
+    } catch {
+        return url;
+    }
+}
+
+// File name of a URL, used as the title of documents that carry none
+function fileName(url) {
+    try {
+        const name = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+        return decodeURIComponent(name);
+    } catch {
+        return '';
+    }
+}
+
+// Query parameters that only track the visit
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|ref_src)$/i;
+
+// Canonical form of a URL used for de-duplication: no fragment, no tracking
+// parameters, sorted query. Returns null for non-HTTP URLs.
+function normalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+    parsed.hash = '';
+    parsed.username = '';
+    parsed.password = '';
+
+    const params = [...parsed.searchParams].filter(([name]) => !TRACKING_PARAMS.test(name));
+    params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    parsed.search = new URLSearchParams(params).toString();
+
+    return parsed.href;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile an include/exclude pattern: "/regex/flags", or a glob where `**`
+// matches anything, `*` anything but "/" and `?` one character. Globs starting
+// with "/" are matched against the path (and query), others against the whole URL.
+function compilePattern(pattern) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        const expression = new RegExp(regex[1], regex[2]);
+        return url => expression.test(url);
+    }
+
+    const source = pattern.split(/(\*\*|\*|\?)/).map(part => {
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '.';
+        return escapeRegExp(part);
+    }).join('');
+    const expression = new RegExp(`^${source}$`, 'i');
+
+    if (pattern.startsWith('/')) {
+        return url => {
+            const parsed = new URL(url);
+            return expression.test(parsed.pathname) || expression.test(parsed.pathname + parsed.search);
+        };
+    }
+    return url => expression.test(url);
+}
+
+// Options accepting one value or a list
+function toList(value) {
+    return Array.isArray(value) ? value : (value ? [value] : []);
+}
+
+function compilePatterns(patterns) {
+    return toList(patterns).map(pattern => {
+        try {
+            return compilePattern(String(pattern));
+        } catch (error) {
+            const invalid = new Error(`Invalid URL pattern ${pattern}: ${error.message}`);
+            invalid.statusCode = 400;
+            throw invalid;
+        }
+    });
+}
+
+module.exports = {
+    compilePatterns,
+    fileName,
+    normalizeUrl,
+    resolveUrl,
+    toList
+};
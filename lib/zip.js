@@ -0,0 +1,78 @@
+/**
+ * Minimal ZIP archive reader (stored and deflated entries, no ZIP64)
+ * Enough to open Office documents (DOCX, ODT) with the native zlib module.
+ */
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Largest entry we agree to inflate, against compression bombs
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+function isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+    // The record is 22 bytes, followed by an optional comment of up to 64 KB
+    const lowest = Math.max(0, buffer.length - 22 - 0xFFFF);
+    for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Invalid ZIP archive: end of central directory not found');
+}
+
+// List the entries of an archive: Map of name -> { method, compressedSize, size, headerOffset }
+function readEntries(buffer) {
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Invalid ZIP archive: corrupted central directory');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, {
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            headerOffset: buffer.readUInt32LE(offset + 42)
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+// Read one entry as a Buffer (null when the archive does not contain it)
+function readEntry(buffer, entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    const header = entry.headerOffset;
+    if (buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Invalid ZIP archive: bad local header for ${name}`);
+    }
+    const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+}
+
+module.exports = {
+    isZip,
+    readEntries,
+    readEntry
+};
@@ -3,11 +3,18 @@
     'use strict';
     
     // Configuration
-    const API_ENDPOINT = '/api/extract';
+    const STREAM_ENDPOINT = '/api/extract/stream';
+    const FEED_ENDPOINT = '/api/feed';
+    const LIMITS_ENDPOINT = '/api/limits';
+    // The stream sends a keep-alive ping every 15 s: this long without a byte, the connection is dead
+    const STREAM_STALL_TIMEOUT = 60000;
+    const AUTH_HEADER = 'Basic ' + btoa('mpaka:fdhjfdh2025');
     const SEPARATOR = '\n' + '*'.repeat(80) + '\n';
     
     // DOM Elements
     const urlInput = document.getElementById('urlInput');
+    const formatSelect = document.getElementById('formatSelect');
+    const modeSelect = document.getElementById('modeSelect');
     const fetchButton = document.getElementById('fetchButton');
     const outputContent = document.getElementById('outputContent');
     const errorMessage = document.getElementById('errorMessage');
@@ -15,9 +22,38 @@
     const copyButton = document.getElementById('copyButton');
     const clearButton = document.getElementById('clearButton');
     const toast = document.getElementById('toast');
+    const feedActions = document.getElementById('feedActions');
+    const feedInfo = document.getElementById('feedInfo');
+    const feedButton = document.getElementById('feedButton');
+    const progressLog = document.getElementById('progressLog');
+    const timeoutInput = document.getElementById('timeoutInput');
+    const maxSizeInput = document.getElementById('maxSizeInput');
+    const limitsInfo = document.getElementById('limitsInfo');
+    const screenshotInput = document.getElementById('screenshotInput');
+    const pdfInput = document.getElementById('pdfInput');
+    const includeInput = document.getElementById('includeInput');
+    const excludeInput = document.getElementById('excludeInput');
+    const captureList = document.getElementById('captureList');
+    
+    // Browser engines, as named in messages
+    const ENGINE_NAMES = { chromium: 'Chromium', firefox: 'Firefox' };
+    
+    // Progress log lines for the stages reported by the server
+    const STAGE_LABELS = {
+        robots: () => '🤖 Checking robots.txt',
+        fetching: () => '🌐 Fetching over HTTP',
+        redirect: stage => `🔀 Redirected (${stage.status}) to ${stage.to}`,
+        fallback: stage => `⚠️ Switching to the browser: ${stage.reason}`,
+        rendering: stage => stage.previousError
+            ? `🔁 Retrying in ${ENGINE_NAMES[stage.engine]} (failed in ${stage.previousError})`
+            : `🎭 Rendering in ${ENGINE_NAMES[stage.engine] || 'the browser'}`,
+        extracting: () => '🧩 Extracting content'
+    };
     
     // State
     let isLoading = false;
+    let feedUrl = null;
+    let feedItemCount = 0;
     
     // Event Listeners
     fetchButton.addEventListener('click', handleFetch);
@@ -30,9 +66,11 @@
     outputContent.addEventListener('input', updateCharCount);
     copyButton.addEventListener('click', handleCopy);
     clearButton.addEventListener('click', handleClear);
+    feedButton.addEventListener('click', handleFeedItems);
     
     // Initialize
     updateCharCount();
+    loadLimits();
     
     // Functions
 async function handleFetch() {
@@ -50,38 +88,58 @@ async function handleFetch() {
     
     setLoading(true);
     hideError();
+    hideFeedActions();
+    resetProgress();
     
+    let stallTimer;
     try {
-        // Single fetch attempt with timeout
+        const limits = advancedOptions();
+        
+        // No overall timeout: the server bounds every attempt and ends the stream with
+        // done or error. Only a stalled connection is given up.
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout for potential Playwright usage
+        const keepAlive = () => {
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(() => controller.abort(), STREAM_STALL_TIMEOUT);
+        };
+        keepAlive();
         
-        const response = await fetch(API_ENDPOINT, {
+        const response = await fetch(STREAM_ENDPOINT, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': 'Basic ' + btoa('mpaka:fdhjfdh2025')
+                'Authorization': AUTH_HEADER
             },
-            body: JSON.stringify({ url }),
+            body: JSON.stringify({ url, format: formatSelect.value, mode: modeSelect.value, ...limits }),
             signal: controller.signal
         });
         
-        clearTimeout(timeoutId);
-        
         if (!response.ok) {
             const error = await response.json();
             throw new Error(error.error || `HTTP Error: ${response.status}`);
         }
         
-        const data = await response.json();
+        // Stage events until the result arrives
+        const data = await readProgressStream(response, keepAlive);
         
         if (data.success && data.content) {
             appendContent(data.content);
             
             // Show success message with extraction method
             const methodIcon = data.method === 'http' ? '🌐' : '🎭';
-            const methodText = data.method === 'http' ? 'HTTP fetch' : 'Browser fallback';
-            showToast(`Content extracted via ${methodText}! ${methodIcon}`, 'success');
+            const methodText = data.method === 'http' ? 'HTTP fetch' : `${ENGINE_NAMES[data.engine] || 'browser'} rendering`;
+            const cacheText = data.cache === 'hit' || data.cache === 'revalidated' ? ' (from cache 💾)' : '';
+            showToast(`Content extracted via ${methodText}${cacheText}! ${methodIcon}`, 'success');
+            
+            // Screenshot and PDF of the rendered page
+            if (data.artifacts && Object.keys(data.artifacts).length) {
+                showCaptures(data.finalUrl, data.artifacts);
+            }
+            
+            // The URL is a feed: offer to extract every item
+            if (data.feed && data.feed.itemCount > 0) {
+                showFeedActions(url, data.feed);
+            }
             
             urlInput.value = '';
         } else {
@@ -90,12 +148,222 @@ async function handleFetch() {
     } catch (error) {
         console.error('Fetch error:', error);
         if (error.name === 'AbortError') {
-            showError('Request timeout - the server took too long to respond');
+            showError('Request timeout - the server stopped responding');
             showToast('Request timeout 😕', 'error');
         } else {
             showError(error.message || 'Error during extraction');
             showToast('Extraction failed 😕', 'error');
         }
+    } finally {
+        clearTimeout(stallTimer);
+        setLoading(false);
+    }
+}
+
+// Per-request limits of the advanced options (empty fields use the server defaults)
+function advancedOptions() {
+    const options = {};
+    const timeout = parseFloat(timeoutInput.value);
+    const maxSize = parseFloat(maxSizeInput.value);
+    
+    if (timeout > 0) {
+        options.timeoutMs = Math.round(timeout * 1000);
+    }
+    if (maxSize > 0) {
+        options.maxBytes = Math.round(maxSize * 1024 * 1024);
+    }
+    
+    // Each field is one CSS selector list ("a, b" keeps or drops both)
+    const include = includeInput.value.trim();
+    const exclude = excludeInput.value.trim();
+    if (include) {
+        options.includeSelectors = [include];
+    }
+    if (exclude) {
+        options.excludeSelectors = [exclude];
+    }
+    
+    // Captures are taken by the browser only
+    if (screenshotInput.checked || pdfInput.checked) {
+        options.strategy = 'browser';
+        options.screenshot = screenshotInput.checked;
+        options.pdf = pdfInput.checked;
+    }
+    return options;
+}
+
+// Captures are served behind the API credentials: load them as blob URLs
+async function loadCapture(url) {
+    const response = await fetch(url, { headers: { 'Authorization': AUTH_HEADER } });
+    if (!response.ok) {
+        throw new Error(`HTTP Error: ${response.status}`);
+    }
+    return URL.createObjectURL(await response.blob());
+}
+
+// Add the captures of an extraction: a screenshot thumbnail and a PDF link, opened in a new tab
+async function showCaptures(pageUrl, artifacts) {
+    const item = document.createElement('div');
+    item.className = 'capture-item';
+    item.title = pageUrl;
+    captureList.appendChild(item);
+    
+    try {
+        if (artifacts.screenshot) {
+            const link = document.createElement('a');
+            link.href = await loadCapture(artifacts.screenshot);
+            link.target = '_blank';
+            const thumbnail = document.createElement('img');
+            thumbnail.src = link.href;
+            thumbnail.alt = `Screenshot of ${pageUrl}`;
+            link.appendChild(thumbnail);
+            item.appendChild(link);
+        }
+        if (artifacts.pdf) {
+            const link = document.createElement('a');
+            link.href = await loadCapture(artifacts.pdf);
+            link.target = '_blank';
+            link.textContent = '🖨️ PDF';
+            item.appendChild(link);
+        }
+    } catch (error) {
+        console.error('Capture error:', error);
+        item.textContent = '⚠️ Capture unavailable';
+    }
+    
+    const caption = document.createElement('span');
+    caption.textContent = new URL(pageUrl).hostname;
+    item.appendChild(caption);
+}
+
+// Show the server limits next to the advanced options
+async function loadLimits() {
+    try {
+        const response = await fetch(LIMITS_ENDPOINT, { headers: { 'Authorization': AUTH_HEADER } });
+        if (!response.ok) {
+            return;
+        }
+        
+        const limits = await response.json();
+        const maxSize = limits.maxBytes / (1024 * 1024);
+        timeoutInput.max = limits.timeoutMs.max / 1000;
+        timeoutInput.placeholder = String(limits.timeoutMs.http / 1000);
+        maxSizeInput.max = maxSize;
+        maxSizeInput.placeholder = String(maxSize);
+        limitsInfo.textContent = `Server limits: HTTP ${limits.timeoutMs.http / 1000} s, browser ${limits.timeoutMs.browser / 1000} s, at most ${limits.timeoutMs.max / 1000} s and ${maxSize.toFixed(1)} MB per page`;
+    } catch (error) {
+        console.error('Limits error:', error);
+    }
+}
+
+// Read the Server-Sent Events of /api/extract/stream, logging each stage
+// Resolves the extraction result of the `done` event; onData() is called on every chunk received
+async function readProgressStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+        
+        onData();
+        buffer += decoder.decode(value, { stream: true });
+        
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const message = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            
+            if (!message) {
+                continue;
+            }
+            
+            if (message.event === 'stage') {
+                const label = STAGE_LABELS[message.data.stage];
+                logProgress(label ? label(message.data) : message.data.stage, message.data.elapsedMs);
+            } else if (message.event === 'done') {
+                for (const warning of message.data.warnings || []) {
+                    logProgress(`⚠️ ${warning}`, message.data.elapsedMs);
+                }
+                logProgress(`✅ Done in ${formatSeconds(message.data.elapsedMs)}`, message.data.elapsedMs, true);
+                return message.data;
+            } else if (message.event === 'error') {
+                logProgress(`❌ ${message.data.error}`, message.data.elapsedMs, true);
+                throw new Error(message.data.error);
+            }
+        }
+    }
+    
+    throw new Error('Connection closed before the extraction finished');
+}
+
+// One SSE message: "event:" and "data:" lines (comments such as keep-alive pings are ignored)
+function parseEvent(chunk) {
+    let event = 'message';
+    const data = [];
+    
+    for (const line of chunk.split('\n')) {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).trim());
+        }
+    }
+    
+    return data.length ? { event, data: JSON.parse(data.join('\n')) } : null;
+}
+
+// Extract every item of the detected feed, appended with the usual separator
+async function handleFeedItems() {
+    if (!feedUrl || isLoading) {
+        return;
+    }
+    
+    setLoading(true);
+    hideError();
+    
+    try {
+        // Items are extracted one by one on the server: allow plenty of time
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 600000);
+        
+        const response = await fetch(FEED_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': AUTH_HEADER
+            },
+            body: JSON.stringify({ url: feedUrl, extractItems: true, limit: feedItemCount, format: formatSelect.value, mode: modeSelect.value }),
+            signal: controller.signal
+        });
+        
+        clearTimeout(timeoutId);
+        
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP Error: ${response.status}`);
+        }
+        
+        const extracted = data.items.filter(item => item.success).length;
+        if (data.content) {
+            appendContent(data.content);
+        }
+        
+        hideFeedActions();
+        showToast(`${extracted}/${data.items.length} feed items extracted! 📰`, extracted ? 'success' : 'error');
+    } catch (error) {
+        console.error('Feed error:', error);
+        if (error.name === 'AbortError') {
+            showError('Request timeout - the server took too long to respond');
+            showToast('Request timeout 😕', 'error');
+        } else {
+            showError(error.message || 'Error during feed extraction');
+            showToast('Feed extraction failed 😕', 'error');
+        }
     } finally {
         setLoading(false);
     }
@@ -149,11 +417,19 @@ async function handleFetch() {
         
         if (confirm('This will erase all content. Are you sure?')) {
             outputContent.value = '';
+            clearCaptures();
             updateCharCount();
             showToast('Content cleared 🗑️', 'success');
         }
     }
     
+    function clearCaptures() {
+        for (const link of captureList.querySelectorAll('a')) {
+            URL.revokeObjectURL(link.href);
+        }
+        captureList.innerHTML = '';
+    }
+    
     function updateCharCount() {
         const count = outputContent.value.length;
         charCount.textContent = `${count.toLocaleString()} characters`;
@@ -173,6 +449,58 @@ async function handleFetch() {
         fetchButton.disabled = loading;
         fetchButton.classList.toggle('loading', loading);
         urlInput.disabled = loading;
+        formatSelect.disabled = loading;
+        modeSelect.disabled = loading;
+        timeoutInput.disabled = loading;
+        maxSizeInput.disabled = loading;
+        screenshotInput.disabled = loading;
+        pdfInput.disabled = loading;
+        includeInput.disabled = loading;
+        excludeInput.disabled = loading;
+        feedButton.disabled = loading;
+    }
+    
+    function showFeedActions(url, feed) {
+        feedUrl = url;
+        feedItemCount = feed.itemCount;
+        const title = feed.title ? `"${feed.title}"` : 'This URL';
+        feedInfo.textContent = `📰 ${title} is a feed with ${feed.itemCount} items`;
+        feedActions.classList.add('show');
+    }
+    
+    function hideFeedActions() {
+        feedUrl = null;
+        feedActions.classList.remove('show');
+    }
+    
+    function resetProgress() {
+        progressLog.innerHTML = '';
+        progressLog.classList.add('show');
+    }
+    
+    // Add a line to the progress log; the previous line gets the time its stage took
+    function logProgress(text, elapsedMs, final = false) {
+        const previous = progressLog.lastElementChild;
+        if (previous) {
+            previous.querySelector('.progress-time').textContent = formatSeconds(elapsedMs - Number(previous.dataset.elapsed));
+        }
+        
+        const line = document.createElement('li');
+        line.dataset.elapsed = elapsedMs;
+        line.className = final ? 'final' : '';
+        
+        const label = document.createElement('span');
+        label.textContent = text;
+        const time = document.createElement('span');
+        time.className = 'progress-time';
+        time.textContent = final ? '' : '…';
+        
+        line.append(label, time);
+        progressLog.appendChild(line);
+    }
+    
+    function formatSeconds(ms) {
+        return `${(ms / 1000).toFixed(2)} s`;
     }
     
     function showError(message) {
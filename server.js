@@ -69,6 +69,27 @@ const https = require('https');
 const { URL } = require('url');
 const zlib = require('zlib');
 const { chromium, firefox } = require('playwright');
+const { createBrowserPool } = require('./lib/browser-pool');
+const { capturePage, renderOptionsError, renderPage } = require('./lib/render');
+const { shellReason } = require('./lib/app-shell');
+const { selectorsError } = require('./lib/selectors');
+const { MODES, resolveUrl } = require('./lib/html-extractor');
+const { extractResource } = require('./lib/extractors');
+const { extractFeed } = require('./lib/extractors/feed');
+const { FORMATS, render } = require('./lib/renderers');
+const { extractTables } = require('./lib/tables');
+const { decodeBody } = require('./lib/charset');
+const { readFeed } = require('./lib/feed');
+const { mapConcurrent } = require('./lib/concurrency');
+const { crawl } = require('./lib/crawl');
+const { collectSitemapUrls, discoverSitemaps } = require('./lib/sitemap');
+const { deleteJob, loadJobs, saveJob } = require('./lib/job-store');
+const { checkRobots, waitForCrawlDelay } = require('./lib/robots');
+const { acquireHost, takeRequest } = require('./lib/throttle');
+const { checkLiteralUrl, createPolicy, guardedLookup } = require('./lib/destination');
+const { cacheKey, deleteEntry, isCacheKey, listEntries, pruneEntries, readBody, readEntry, touchEntry, writeEntry } = require('./lib/cache');
+const { pruneArtifacts, readArtifact, saveArtifact } = require('./lib/artifacts');
+const crypto = require('crypto');
 
 const app = express();
 
@@ -83,409 +104,1828 @@ const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS
 const BASIC_AUTH_USER = process.env.BASIC_AUTH_USER || 'mpaka';
 const BASIC_AUTH_PASS = process.env.BASIC_AUTH_PASS || 'fdhjfdh2025';
 
+// Outbound politeness: concurrent requests per destination host, and minimum
+// delay (ms) between the starts of two requests to the same host
+const HOST_LIMITS = {
+    concurrency: Math.max(parseInt(process.env.HOST_CONCURRENCY, 10) || 2, 1),
+    minDelayMs: parseInt(process.env.HOST_MIN_DELAY_MS, 10) || 0
+};
+
+// Outbound destinations: private, loopback, link-local and metadata addresses are
+// refused unless listed in FETCH_ALLOWLIST (host names, *.domain, IPs or CIDR ranges)
+const FETCH_POLICY = createPolicy(process.env.FETCH_ALLOWLIST ? process.env.FETCH_ALLOWLIST.split(',') : []);
+const fetchLookup = guardedLookup(FETCH_POLICY);
+
+// Redirects followed per fetch (requests may ask for fewer with maxRedirects);
+// 0 is valid, anything but a whole number falls back to 10
+const MAX_REDIRECTS = /^\d+$/.test(process.env.MAX_REDIRECTS || '') ? parseInt(process.env.MAX_REDIRECTS, 10) : 10;
+
+// Largest response accepted (bytes), counted before and after decompression;
+// requests may lower it with maxBytes
+const MAX_RESPONSE_BYTES = parseInt(process.env.MAX_RESPONSE_BYTES, 10) || 25 * 1024 * 1024;
+
+// Timeouts (ms) of an HTTP request, a browser page load and the wait for dynamic
+// content after it; requests may set their own timeoutMs, up to MAX_TIMEOUT_MS
+const HTTP_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS, 10) || 15000;
+const BROWSER_TIMEOUT_MS = parseInt(process.env.BROWSER_TIMEOUT_MS, 10) || 30000;
+const BROWSER_SETTLE_MS = process.env.BROWSER_SETTLE_MS ? parseInt(process.env.BROWSER_SETTLE_MS, 10) : 2000;
+const MAX_TIMEOUT_MS = parseInt(process.env.MAX_TIMEOUT_MS, 10) || 120000;
+
+// Browser engine tried first (requests may pick theirs with engine); a page that
+// fails in it is retried in the other one
+const BROWSER_ENGINES = ['chromium', 'firefox'];
+const BROWSER_ENGINE = BROWSER_ENGINES.includes(process.env.BROWSER_ENGINE) ? process.env.BROWSER_ENGINE : 'chromium';
+
+// Browser pool: pages open at once, and pages a browser serves before it is relaunched
+const BROWSER_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 4;
+const BROWSER_MAX_USES = parseInt(process.env.BROWSER_MAX_USES, 10) || 50;
+
+// Inbound rate limit: extraction requests per client (credential + IP) and window,
+// RATE_LIMIT_MAX=0 disables it
+const RATE_LIMIT = {
+    max: process.env.RATE_LIMIT_MAX ? parseInt(process.env.RATE_LIMIT_MAX, 10) : 60,
+    windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 60) * 1000
+};
+
+// Delimiter between extractions, same as the one the UI appends with (main.js)
+const SEPARATOR = '\n' + '*'.repeat(80) + '\n';
+
+// Feed items extracted per request
+const DEFAULT_FEED_ITEMS = 20;
+const MAX_FEED_ITEMS = 100;
+
+// Batch extraction limits
+const DEFAULT_BATCH_CONCURRENCY = 4;
+const MAX_BATCH_CONCURRENCY = 8;
+const MAX_BATCH_URLS = 500;
+
+// Crawl limits
+const DEFAULT_CRAWL_DEPTH = 2;
+const MAX_CRAWL_DEPTH = 5;
+const DEFAULT_CRAWL_PAGES = 50;
+const MAX_CRAWL_PAGES = 500;
+
+// URLs extracted from sitemaps per request
+const DEFAULT_SITEMAP_URLS = 50;
+
+// robots.txt compliance: always on with RESPECT_ROBOTS=true, else per request (respectRobots)
+// ROBOTS_USER_AGENT is the product token matched against User-agent groups
+const RESPECT_ROBOTS = process.env.RESPECT_ROBOTS === 'true';
+const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || 'mpaka';
+
+// Interval of the keep-alive comments sent on progress streams
+const SSE_HEARTBEAT_MS = 15000;
+
+// Asynchronous jobs: persisted under DATA_DIR (a dot directory, never served statically)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '.data');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const MAX_RUNNING_JOBS = 2;
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const JOB_SAVE_DELAY_MS = 1000;
+
+// Extraction cache: entries younger than CACHE_MAX_AGE seconds are used without revalidation
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const CACHE_MAX_AGE = process.env.CACHE_MAX_AGE ? parseInt(process.env.CACHE_MAX_AGE, 10) : 3600;
+// Past CACHE_MAX_ENTRIES entries or CACHE_MAX_BYTES bytes, the least recently used entries are removed
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000;
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES, 10) || 512 * 1024 * 1024;
+
+// Page captures (screenshots, PDFs), kept ARTIFACTS_MAX_AGE seconds
+const ARTIFACTS_DIR = path.join(DATA_DIR, 'artifacts');
+const ARTIFACTS_MAX_AGE = (parseInt(process.env.ARTIFACTS_MAX_AGE, 10) || 7 * 24 * 3600) * 1000;
+
 // Single user agent for simple fetch
 const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
 
-// Get basic headers
-function getBasicHeaders(url) {
-    const parsedUrl = new URL(url);
-    const isHttps = parsedUrl.protocol === 'https:';
+// Get basic headers
+function getBasicHeaders(url) {
+    const parsedUrl = new URL(url);
+    const isHttps = parsedUrl.protocol === 'https:';
+    
+    return {
+        'User-Agent': DEFAULT_USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate' + (isHttps ? ', br' : ''),
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1'
+    };
+}
+
+// Middleware
+app.use(express.json({ limit: '10mb' }));
+
+// CORS middleware
+app.use((req, res, next) => {
+    const origin = req.headers.origin;
+    
+    if (origin && ALLOWED_ORIGINS.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+    
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    
+    next();
+});
+
+// API responses are per user and change from one call to the next: never stored
+// by the browser (or the service worker)
+app.use('/api', (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+// Basic Auth middleware for API
+function basicAuth(req, res, next) {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Basic ')) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    const base64Credentials = authHeader.split(' ')[1];
+    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
+    const [username, password] = credentials.split(':');
+    
+    if (username === BASIC_AUTH_USER && password === BASIC_AUTH_PASS) {
+        req.user = username;
+        next();
+    } else {
+        res.status(401).json({ error: 'Invalid credentials' });
+    }
+}
+
+// Rate limit middleware for the extraction endpoints (after basicAuth)
+function rateLimit(req, res, next) {
+    if (!RATE_LIMIT.max) {
+        return next();
+    }
+    
+    const { allowed, remaining, retryAfterS } = takeRequest(`${req.user} ${req.ip}`, RATE_LIMIT);
+    res.set('RateLimit-Limit', String(RATE_LIMIT.max));
+    res.set('RateLimit-Remaining', String(remaining));
+    
+    if (!allowed) {
+        console.log(`⏳ Rate limit reached for ${req.user} (${req.ip})`);
+        res.set('Retry-After', String(retryAfterS));
+        return res.status(429).json({ error: `Too many requests, retry in ${retryAfterS}s`, retryAfter: retryAfterS });
+    }
+    
+    next();
+}
+
+// Error thrown when an extraction is cancelled through its signal
+function cancelledError() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Report a pipeline stage to the caller (jobs, progress streams)
+function reportStage(context, stage, details = {}) {
+    if (context.onStage) {
+        context.onStage(stage, details);
+    }
+}
+
+// Simple fetch function
+// context: { signal } aborts the request, { onStage } is told about redirects,
+// { validators: { etag, lastModified } } makes it conditional: a 304 resolves { notModified: true }
+// { maxRedirects } bounds the redirects followed (MAX_REDIRECTS by default)
+// Every request (redirects included) waits for a slot on its host (HOST_LIMITS)
+// Resolves { body, contentType, etag, lastModified, finalUrl, redirectChain: [{ url, status }] }
+async function simpleFetch(url, context = {}, redirectChain = []) {
+    const release = await acquireHost(new URL(url).host, HOST_LIMITS, context.signal);
+    let response;
+    try {
+        response = await requestOnce(url, context);
+    } finally {
+        release();
+    }
+    
+    if (response.redirectTo) {
+        const chain = [...redirectChain, { url, status: response.status }];
+        checkRedirect(response.redirectTo, chain, context.maxRedirects);
+        
+        console.log(`🔀 Redirecting to: ${response.redirectTo}`);
+        reportStage(context, 'redirect', { from: url, to: response.redirectTo, status: response.status });
+        return simpleFetch(response.redirectTo, context, chain);
+    }
+    
+    if (response.notModified) {
+        return response;
+    }
+    return { ...response, finalUrl: url, redirectChain };
+}
+
+// Refuse a redirect to a URL already in the chain, or past the maximum
+function checkRedirect(target, chain, maxRedirects = MAX_REDIRECTS) {
+    let message = null;
+    if (chain.some(hop => hop.url === target)) {
+        message = `Redirect loop: ${target} was already visited`;
+    } else if (chain.length > Math.min(maxRedirects, MAX_REDIRECTS)) {
+        message = `Too many redirects (more than ${Math.min(maxRedirects, MAX_REDIRECTS)})`;
+    }
+    
+    if (message) {
+        const error = new Error(message);
+        error.statusCode = 502;
+        throw error;
+    }
+}
+
+// One HTTP request; a redirect resolves { redirectTo, status }
+// context: { timeoutMs } bounds the whole request, { maxBytes } the response size
+function requestOnce(url, context) {
+    const timeoutMs = Math.min(context.timeoutMs || HTTP_TIMEOUT_MS, MAX_TIMEOUT_MS);
+    const maxBytes = Math.min(context.maxBytes || MAX_RESPONSE_BYTES, MAX_RESPONSE_BYTES);
+    
+    return new Promise((resolvePromise, rejectPromise) => {
+        let timer = null;
+        const resolve = value => {
+            clearTimeout(timer);
+            resolvePromise(value);
+        };
+        const reject = error => {
+            clearTimeout(timer);
+            rejectPromise(error);
+        };
+        
+        const { signal } = context;
+        if (signal && signal.aborted) {
+            return reject(cancelledError());
+        }
+        
+        const parsedUrl = new URL(url);
+        const client = parsedUrl.protocol === 'https:' ? https : http;
+        const headers = getBasicHeaders(url);
+        
+        // Every hop is checked: address literals here, resolved names in fetchLookup
+        try {
+            checkLiteralUrl(FETCH_POLICY, url);
+        } catch (error) {
+            return reject(error);
+        }
+        
+        if (context.validators) {
+            if (context.validators.etag) headers['If-None-Match'] = context.validators.etag;
+            if (context.validators.lastModified) headers['If-Modified-Since'] = context.validators.lastModified;
+        }
+        
+        const options = {
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
+            path: parsedUrl.pathname + parsedUrl.search,
+            method: 'GET',
+            headers: headers,
+            lookup: fetchLookup
+        };
+        
+        const request = client.request(options, (response) => {
+            // Handle redirects
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                return resolve({ redirectTo: resolveUrl(response.headers.location, url), status: response.statusCode });
+            }
+            
+            if (response.statusCode === 304 && context.validators) {
+                response.resume();
+                return resolve({ notModified: true });
+            }
+            
+            if (response.statusCode !== 200) {
+                const error = new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+                error.status = response.statusCode;
+                response.resume();
+                return reject(error);
+            }
+            
+            // Raw bytes: decoding depends on the charset (see decodeBody)
+            readResponseBody(request, response, maxBytes).then(body => resolve({
+                body,
+                contentType: response.headers['content-type'] || '',
+                etag: response.headers['etag'] || '',
+                lastModified: response.headers['last-modified'] || ''
+            }), reject);
+        });
+        
+        request.on('error', (err) => {
+            if (err.code === 'EDESTINATION') {
+                return reject(err);
+            }
+            reject(new Error(`Request error: ${err.message}`));
+        });
+        
+        timer = setTimeout(() => {
+            request.destroy();
+            reject(new Error(`Request timeout (${timeoutMs} ms)`));
+        }, timeoutMs);
+        
+        if (signal) {
+            const onAbort = () => {
+                request.destroy();
+                reject(cancelledError());
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            request.on('close', () => signal.removeEventListener('abort', onAbort));
+        }
+        
+        request.end();
+    });
+}
+
+// Body of a response, decompressed (gzip, deflate, br)
+// Refuses (413) a body over maxBytes: announced, downloaded or once decompressed
+function readResponseBody(request, response, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => {
+            request.destroy();
+            reject(responseTooLarge(maxBytes));
+        };
+        if (parseInt(response.headers['content-length'], 10) > maxBytes) {
+            return tooLarge();
+        }
+        
+        let downloaded = 0;
+        response.on('data', (chunk) => {
+            downloaded += chunk.length;
+            if (downloaded > maxBytes) tooLarge();
+        });
+        
+        // Handle compressed responses
+        let stream = response;
+        let size = 0;
+        const data = [];
+        const encoding = response.headers['content-encoding'];
+        
+        if (encoding === 'gzip') {
+            stream = response.pipe(zlib.createGunzip());
+        } else if (encoding === 'deflate') {
+            stream = response.pipe(zlib.createInflate());
+        } else if (encoding === 'br') {
+            stream = response.pipe(zlib.createBrotliDecompress());
+        }
+        
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                return tooLarge();
+            }
+            data.push(chunk);
+        });
+        
+        stream.on('end', () => resolve(Buffer.concat(data)));
+        
+        stream.on('error', (err) => {
+            reject(new Error(`Stream error: ${err.message}`));
+        });
+    });
+}
+
+// Request headers the browser sets that do not apply to the request made for it
+const BROWSER_REQUEST_SKIPPED_HEADERS = ['host', 'connection', 'content-length', 'accept-encoding', 'keep-alive', 'transfer-encoding', 'upgrade'];
+// Response headers describing the body as sent, not as handed back decompressed
+const BROWSER_RESPONSE_SKIPPED_HEADERS = ['connection', 'content-encoding', 'content-length', 'keep-alive', 'transfer-encoding'];
+
+// Make a browser request from here, through fetchLookup, so the destination
+// checked is the one connected to; redirects are handed back to the browser
+// limits: { timeoutMs, maxBytes } (per response body)
+// Resolves the { status, headers, body } to fulfill the request with
+async function browserRequest(pageRequest, { timeoutMs, maxBytes }) {
+    const url = pageRequest.url();
+    checkLiteralUrl(FETCH_POLICY, url);
+    
+    const headers = { 'accept-encoding': 'gzip, deflate, br' };
+    for (const [name, value] of Object.entries(await pageRequest.allHeaders())) {
+        if (!name.startsWith(':') && !BROWSER_REQUEST_SKIPPED_HEADERS.includes(name)) headers[name] = value;
+    }
+    const postData = pageRequest.postDataBuffer();
+    
+    return new Promise((resolvePromise, rejectPromise) => {
+        let timer = null;
+        const resolve = value => {
+            clearTimeout(timer);
+            resolvePromise(value);
+        };
+        const reject = error => {
+            clearTimeout(timer);
+            rejectPromise(error);
+        };
+        
+        const client = new URL(url).protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method: pageRequest.method(),
+            headers,
+            lookup: fetchLookup
+        }, (response) => {
+            const responseHeaders = {};
+            for (const [name, value] of Object.entries(response.headers)) {
+                if (BROWSER_RESPONSE_SKIPPED_HEADERS.includes(name)) continue;
+                responseHeaders[name] = Array.isArray(value) ? value.join('\n') : value;
+            }
+            
+            readResponseBody(request, response, maxBytes).then(body => resolve({
+                status: response.statusCode,
+                headers: responseHeaders,
+                body
+            }), reject);
+        });
+        
+        request.on('error', reject);
+        
+        timer = setTimeout(() => {
+            request.destroy();
+            reject(new Error(`Request timeout (${timeoutMs} ms)`));
+        }, timeoutMs);
+        
+        request.end(postData || undefined);
+    });
+}
+
+// Redirects that led to a browser request: [{ url, status }], oldest first
+async function browserRedirects(request) {
+    const chain = [];
+    for (let hop = request.redirectedFrom(); hop; hop = hop.redirectedFrom()) {
+        const response = await hop.response().catch(() => null);
+        chain.unshift({ url: hop.url(), status: response ? response.status() : null });
+    }
+    return chain;
+}
+
+function responseTooLarge(maxBytes) {
+    const error = new Error(`Response too large: more than ${maxBytes} bytes`);
+    error.statusCode = 413;
+    return error;
+}
+
+// Warm browsers shared by every fallback request, each page in its own context
+const browserPool = createBrowserPool({
+    engines: {
+        chromium: {
+            type: chromium,
+            options: {
+                headless: true,
+                args: [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-gpu',
+                    '--no-first-run'
+                ]
+            }
+        },
+        firefox: {
+            type: firefox,
+            options: { headless: true }
+        }
+    },
+    maxPages: BROWSER_MAX_PAGES,
+    maxUses: BROWSER_MAX_USES
+});
+
+// Browser route handler applying the destination policy (and, to navigations, the
+// redirect limit) to every request of a page. Requests are made here (see
+// browserRequest), with the size limit applied to every response; redirects go
+// back to the browser, whose next hop comes through this handler again.
+// limits: { maxRedirects, timeoutMs, maxBytes }
+// blockResources lists resource types not downloaded at all;
+// onRefused(error) is told about refused navigations
+async function guardRoute(route, { maxRedirects, timeoutMs, maxBytes, blockResources = [], onRefused }) {
+    const request = route.request();
+    
+    if (blockResources.includes(request.resourceType())) {
+        return route.abort('blockedbyclient').catch(() => {});
+    }
+    
+    try {
+        if (request.isNavigationRequest() && request.redirectedFrom()) {
+            const chain = await browserRedirects(request);
+            checkRedirect(request.url(), chain, maxRedirects);
+        }
+        await route.fulfill(await browserRequest(request, { timeoutMs, maxBytes }));
+    } catch (error) {
+        // Refused: destination (403), redirects (502) or size (413)
+        if (error.statusCode) {
+            console.log(`🚫 Browser request refused: ${error.message}`);
+            if (request.isNavigationRequest()) onRefused(error);
+            return route.abort('blockedbyclient').catch(() => {});
+        }
+        await route.abort('failed').catch(() => {});
+    }
+}
+
+const ENGINE_NAMES = { chromium: 'Chromium', firefox: 'Firefox' };
+
+// Playwright fallback function: render the page in the preferred engine
+// (context.engine, else Chromium for PDFs, else BROWSER_ENGINE), then in the
+// other one if that fails.
+// context: { signal } closes the page, ending the page load; { render } are the
+// rendering options (see lib/render.js); { capture } the captures to take
+// Resolves { html, encoding, finalUrl, redirectChain, warnings, engine, captures, captureWarnings }
+async function playwrightFetch(url, context = {}) {
+    const preferred = context.engine || (context.capture && context.capture.pdf ? 'chromium' : BROWSER_ENGINE);
+    const engines = [preferred, ...BROWSER_ENGINES.filter(engine => engine !== preferred)];
+    const failures = [];
+    
+    for (const engine of engines) {
+        reportStage(context, 'rendering', { url, engine, previousError: failures[failures.length - 1] });
+        try {
+            const page = await renderInEngine(url, engine, context);
+            return {
+                ...page,
+                warnings: [...failures.map(failure => `Rendering failed in ${failure}`), ...page.warnings],
+                engine
+            };
+        } catch (error) {
+            // Cancelled, or refused whatever the engine (destination, redirects, size)
+            if (error.name === 'AbortError' || error.statusCode) {
+                throw error;
+            }
+            // First line only: Playwright appends install instructions and call logs
+            failures.push(`${ENGINE_NAMES[engine]}: ${error.message.split('\n')[0]}`);
+        }
+    }
+    
+    throw new Error(`Rendering failed in every browser (${failures.join(' | ')})`);
+}
+
+// Render a page in one engine, on a page of the browser pool
+async function renderInEngine(url, engine, context) {
+    const { signal, render = {} } = context;
+    if (signal && signal.aborted) {
+        throw cancelledError();
+    }
+    
+    const browserName = ENGINE_NAMES[engine];
+    console.log(`🎭 Using ${browserName} for ${url}`);
+    
+    let releaseHost, blocked;
+    
+    try {
+        return await browserPool.withPage(engine, async page => {
+            const closePage = () => page.close().catch(() => {});
+            if (signal) {
+                if (signal.aborted) throw cancelledError();
+                signal.addEventListener('abort', closePage, { once: true });
+            }
+            
+            try {
+                const timeout = Math.min(context.timeoutMs || BROWSER_TIMEOUT_MS, MAX_TIMEOUT_MS);
+                const maxBytes = Math.min(context.maxBytes || MAX_RESPONSE_BYTES, MAX_RESPONSE_BYTES);
+                await page.route('**/*', route => guardRoute(route, {
+                    maxRedirects: context.maxRedirects,
+                    timeoutMs: timeout,
+                    maxBytes,
+                    blockResources: render.blockResources,
+                    onRefused: error => {
+                        if (route.request().frame() === page.mainFrame()) blocked = error;
+                    }
+                }));
+                
+                // The page load counts as a request to its host (HOST_LIMITS)
+                releaseHost = await acquireHost(new URL(url).host, HOST_LIMITS, signal);
+                
+                // Navigate to the page with timeout
+                const response = await page.goto(url, { 
+                    waitUntil: render.waitUntil || 'domcontentloaded',
+                    timeout: timeout
+                });
+                const redirectChain = response ? await browserRedirects(response.request()) : [];
+                
+                // Selector waits, auto-scroll and clicks, then a bit more for dynamic content
+                const warnings = await renderPage(page, render, timeout);
+                await page.waitForTimeout(BROWSER_SETTLE_MS);
+                
+                // Get the HTML content (already decoded by the browser)
+                const html = await page.content();
+                if (Buffer.byteLength(html) > maxBytes) {
+                    throw responseTooLarge(maxBytes);
+                }
+                const encoding = await page.evaluate(() => document.characterSet).catch(() => 'UTF-8');
+                
+                // Screenshot and PDF of the page as rendered
+                const { captures, warnings: captureWarnings } = context.capture
+                    ? await capturePage(page, context.capture, engine)
+                    : { captures: {}, warnings: [] };
+                
+                console.log(`✅ ${browserName} successfully fetched content from ${url}`);
+                return {
+                    html,
+                    encoding: encoding.toLowerCase(),
+                    finalUrl: page.url(),
+                    redirectChain,
+                    warnings,
+                    captures,
+                    captureWarnings
+                };
+            } finally {
+                if (signal) signal.removeEventListener('abort', closePage);
+            }
+        }, { signal, contextOptions: { viewport: { width: 1280, height: 720 } } });
+        
+    } catch (error) {
+        if (signal && signal.aborted) {
+            console.log(`🛑 ${browserName} page closed, extraction cancelled for ${url}`);
+            throw cancelledError();
+        }
+        if (blocked) {
+            throw blocked;
+        }
+        if (error.statusCode) {
+            throw error;
+        }
+        console.error(`❌ ${browserName} failed for ${url}:`, error.message);
+        throw error;
+    } finally {
+        if (releaseHost) releaseHost();
+    }
+}
+
+// Main fetch function with Playwright fallback
+// context: { signal, onStage } to cancel and follow the stages
+// (fetching, redirect, fallback, rendering), { maxRedirects, timeoutMs, maxBytes } limits,
+// { engine } the browser engine tried first, { capture } screenshot/PDF to take when rendering,
+// { strategy } picks the fetch: 'http' only, 'browser' only, or 'auto' (HTTP, then
+// the browser when HTTP fails or returns an unrendered app shell)
+// Resolves { method: 'http', body, contentType } or { method: 'browser', html, encoding, engine },
+// both with the finalUrl reached and the redirectChain that led to it, plus the
+// escalationReason when 'auto' switched to the browser (or escalationFailed and
+// warnings when it kept an app shell the browser could not render)
+async function fetchWithFallback(url, context = {}) {
+    const strategy = context.strategy || 'auto';
+    
+    if (strategy === 'browser') {
+        return { method: 'browser', ...await playwrightFetch(url, context) };
+    }
+    
+    let response;
+    try {
+        console.log(`🌐 Trying simple fetch for: ${url}`);
+        reportStage(context, 'fetching', { url });
+        response = await simpleFetch(url, context);
+    } catch (error) {
+        // A refused destination or a redirect loop would fail in the browser too
+        if (error.name === 'AbortError' || error.statusCode || strategy === 'http') {
+            throw error;
+        }
+        
+        console.log(`❌ Simple fetch failed for ${url}: ${error.message}`);
+        
+        try {
+            return await escalateToBrowser(url, context, error.message);
+        } catch (playwrightError) {
+            if (playwrightError.name === 'AbortError' || playwrightError.statusCode) {
+                throw playwrightError;
+            }
+            console.error(`❌ Playwright also failed for ${url}: ${playwrightError.message}`);
+            throw new Error(`Both simple fetch and browser failed: ${error.message} | ${playwrightError.message}`);
+        }
+    }
+    
+    if (response.notModified) {
+        console.log(`♻️ Not modified: ${url}`);
+        return { method: 'http', notModified: true };
+    }
+    console.log(`✅ Simple fetch succeeded for: ${url}`);
+    
+    const shell = strategy === 'auto' && /html/i.test(response.contentType)
+        ? shellReason(decodeBody(response.body, response.contentType).text)
+        : null;
+    if (!shell) {
+        return { method: 'http', ...response };
+    }
+    
+    // Looks like a JavaScript app: render it, keeping the HTTP page if the browser fails
+    console.log(`🐚 Unrendered app shell at ${url}: ${shell}`);
+    try {
+        return await escalateToBrowser(url, context, shell);
+    } catch (playwrightError) {
+        if (playwrightError.name === 'AbortError') {
+            throw playwrightError;
+        }
+        console.error(`❌ Playwright failed for app shell ${url}: ${playwrightError.message}`);
+        return {
+            method: 'http',
+            ...response,
+            escalationFailed: true,
+            warnings: [`Looks like an unrendered app shell (${shell}) but the browser failed: ${playwrightError.message}`]
+        };
+    }
+}
+
+// Render a page in the browser instead of the HTTP result, for the given reason
+async function escalateToBrowser(url, context, reason) {
+    console.log(`🎭 Falling back to Playwright...`);
+    reportStage(context, 'fallback', { url, reason });
+    const page = await playwrightFetch(url, context);
+    console.log(`✅ Playwright succeeded for: ${url}`);
+    return { method: 'browser', escalationReason: reason, ...page };
+}
+
+// Fetch a plain document (feed, sitemap, robots.txt) as text, without browser fallback
+// context: see simpleFetch; { maxBytes } also bounds a gzipped file once decompressed
+async function fetchText(url, context = {}) {
+    const response = await simpleFetch(url, context);
+    let body = response.body;
+    
+    // Gzipped files (sitemap.xml.gz) are served as is, not with a Content-Encoding
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+        const maxBytes = Math.min(context.maxBytes || MAX_RESPONSE_BYTES, MAX_RESPONSE_BYTES);
+        try {
+            body = zlib.gunzipSync(body, { maxOutputLength: maxBytes });
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') throw responseTooLarge(maxBytes);
+            throw error;
+        }
+    }
+    
+    return decodeBody(body, response.contentType).text;
+}
+
+// Fetch a URL (with the browser fallback) and extract it, through the cache
+// options: extraction options plus maxAge (seconds an entry is used without
+// revalidation) and noCache (always fetch, then refresh the entry)
+// context: see fetchWithFallback; also reports the extracting stage
+// Resolves the extractResource result plus the fetch method and cache status (hit, revalidated, miss)
+async function extractUrl(url, options, context = {}) {
+    const robots = RESPECT_ROBOTS || options.respectRobots ? await enforceRobots(url, context) : null;
+    
+    // Captures are of the page as it is now: never from the cache
+    const capture = options.screenshot || options.pdf ? { screenshot: options.screenshot, pdf: options.pdf } : null;
+    
+    const key = cacheKey(url, options);
+    const entry = options.noCache || capture ? null : readEntry(CACHE_DIR, key);
+    const maxAge = options.maxAge === undefined ? CACHE_MAX_AGE : Number(options.maxAge);
+    
+    if (entry && Date.now() - Date.parse(entry.validatedAt) < maxAge * 1000) {
+        console.log(`💾 Cache hit for: ${url}`);
+        touchEntry(CACHE_DIR, key);
+        return { ...entry.result, cache: 'hit', cachedAt: entry.fetchedAt };
+    }
+    
+    // Stale entry fetched over HTTP with validators: ask the server whether it changed
+    const validators = entry && entry.method === 'http' && (entry.etag || entry.lastModified)
+        ? { etag: entry.etag, lastModified: entry.lastModified }
+        : null;
+    
+    if (robots) {
+        await waitForCrawlDelay(url, robots.crawlDelay, {
+            signal: context.signal,
+            maxWaitMs: Math.min(options.timeoutMs || HTTP_TIMEOUT_MS, MAX_TIMEOUT_MS)
+        });
+    }
+    
+    const fetched = await fetchWithFallback(url, {
+        ...context,
+        validators,
+        maxRedirects: options.maxRedirects,
+        timeoutMs: options.timeoutMs,
+        maxBytes: options.maxBytes,
+        render: options.render,
+        strategy: options.strategy,
+        engine: options.engine,
+        capture
+    });
+    
+    if (fetched.notModified) {
+        entry.validatedAt = new Date().toISOString();
+        storeCacheEntry(entry);
+        return { ...entry.result, cache: 'revalidated', cachedAt: entry.fetchedAt };
+    }
+    
+    // Links and images are resolved against the URL the page was served from
+    reportStage(context, 'extracting', { url: fetched.finalUrl, method: fetched.method });
+    const resource = await extractResource(fetched, fetched.finalUrl, options);
+    const extracted = {
+        method: fetched.method,
+        engine: fetched.engine,
+        escalationReason: fetched.escalationReason,
+        finalUrl: fetched.finalUrl,
+        redirectChain: fetched.redirectChain,
+        ...resource,
+        warnings: [...(fetched.warnings || []), ...resource.warnings]
+    };
+    
+    // Captures and their warnings belong to this request only, not to the cache entry
+    const captured = capture ? storeArtifacts(fetched) : {};
+    const warnings = [...extracted.warnings, ...(captured.warnings || [])];
+    
+    // A shell the browser could not render is not kept: the next request tries again
+    if (fetched.escalationFailed) {
+        return { ...extracted, warnings, artifacts: captured.artifacts, cache: 'miss' };
+    }
+    
+    const now = new Date().toISOString();
+    storeCacheEntry({
+        key,
+        url,
+        options: {
+            format: options.format,
+            mode: options.mode,
+            metadataHeader: options.metadataHeader,
+            collectLinks: options.collectLinks,
+            render: options.render,
+            strategy: options.strategy,
+            engine: options.engine,
+            includeSelectors: options.includeSelectors,
+            excludeSelectors: options.excludeSelectors
+        },
+        method: fetched.method,
+        contentType: fetched.contentType || 'text/html',
+        etag: fetched.etag || '',
+        lastModified: fetched.lastModified || '',
+        fetchedAt: now,
+        validatedAt: now,
+        result: extracted
+    }, fetched.body || Buffer.from(fetched.html || '', 'utf8'));
+    
+    return { ...extracted, warnings, artifacts: captured.artifacts, cache: 'miss' };
+}
+
+// Store the captures of a rendered page under ARTIFACTS_DIR
+// Returns { artifacts: their URLs ({ screenshot, pdf }), warnings }; pages fetched over HTTP have none
+function storeArtifacts(fetched) {
+    if (fetched.method !== 'browser') {
+        return { warnings: ['No screenshot or PDF: the page was fetched over HTTP (use strategy "browser" to render it)'] };
+    }
+    
+    const warnings = [...fetched.captureWarnings];
+    
+    const removed = pruneArtifacts(ARTIFACTS_DIR, ARTIFACTS_MAX_AGE);
+    if (removed) {
+        console.log(`🧹 Removed ${removed} expired captures`);
+    }
+    
+    const artifacts = {};
+    for (const [type, data] of Object.entries(fetched.captures)) {
+        try {
+            artifacts[type] = `/api/artifacts/${saveArtifact(ARTIFACTS_DIR, type, data)}`;
+        } catch (error) {
+            console.error(`❌ Could not store the ${type} of ${fetched.finalUrl}:`, error.message);
+            warnings.push(`The ${type} could not be stored`);
+        }
+    }
+    return { artifacts, warnings };
+}
+
+// Reject a URL its robots.txt disallows (403 naming the rule)
+// Resolves the robots.txt verdict, with the Crawl-delay to honor
+async function enforceRobots(url, context) {
+    reportStage(context, 'robots', { url });
+    const verdict = await checkRobots(url, ROBOTS_USER_AGENT, fetchText);
+    
+    if (!verdict.allowed) {
+        const reason = verdict.rule
+            ? `rule "Disallow: ${verdict.rule.path}" (line ${verdict.rule.line}, User-agent: ${verdict.agent})`
+            : verdict.reason;
+        const error = new Error(`Blocked by ${verdict.robotsUrl}: ${reason}`);
+        error.statusCode = 403;
+        console.log(`🤖 ${error.message} for ${url}`);
+        throw error;
+    }
+    
+    return verdict;
+}
+
+// A cache write failure never fails the extraction
+// A new body makes room for itself by removing the least recently used entries
+function storeCacheEntry(entry, body) {
+    try {
+        writeEntry(CACHE_DIR, entry, body);
+    } catch (error) {
+        console.error(`❌ Could not write cache entry for ${entry.url}:`, error.message);
+        return;
+    }
+    
+    if (body) {
+        const removed = pruneEntries(CACHE_DIR, { maxEntries: CACHE_MAX_ENTRIES, maxBytes: CACHE_MAX_BYTES });
+        if (removed) {
+            console.log(`🧹 Removed ${removed} least recently used cache entries`);
+        }
+    }
+}
+
+// How a page is fetched (see fetchWithFallback)
+const STRATEGIES = ['auto', 'http', 'browser'];
+
+// Validate the extraction options shared by the endpoints
+// Returns an error message, or null when they are valid
+function optionsError({ format, mode, tables, metadataHeader, noCache, respectRobots, strategy, engine, maxAge, maxRedirects, timeoutMs, maxBytes, render, screenshot, pdf, includeSelectors, excludeSelectors }) {
+    if (!FORMATS.includes(format)) {
+        return `Unsupported format: ${format}. Expected one of: ${FORMATS.join(', ')}`;
+    }
+    
+    if (!MODES.includes(mode)) {
+        return `Unsupported mode: ${mode}. Expected one of: ${MODES.join(', ')}`;
+    }
+    
+    if (strategy !== undefined && !STRATEGIES.includes(strategy)) {
+        return `Unsupported strategy: ${strategy}. Expected one of: ${STRATEGIES.join(', ')}`;
+    }
+    
+    if (engine !== undefined && !BROWSER_ENGINES.includes(engine)) {
+        return `Unsupported engine: ${engine}. Expected one of: ${BROWSER_ENGINES.join(', ')}`;
+    }
+    
+    if (maxAge !== undefined && !(Number(maxAge) >= 0)) {
+        return 'maxAge must be a number of seconds';
+    }
+    
+    if (maxRedirects !== undefined && !(Number.isInteger(maxRedirects) && maxRedirects >= 0)) {
+        return 'maxRedirects must be a non-negative integer';
+    }
+    
+    // Values above the server limits are capped, not refused
+    if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+        return 'timeoutMs must be a positive number of milliseconds';
+    }
+    
+    if (maxBytes !== undefined && !(Number.isInteger(maxBytes) && maxBytes > 0)) {
+        return 'maxBytes must be a positive number of bytes';
+    }
+    
+    const flags = { tables, metadataHeader, noCache, respectRobots, screenshot, pdf };
+    for (const [name, value] of Object.entries(flags)) {
+        if (value !== undefined && typeof value !== 'boolean') {
+            return `${name} must be a boolean`;
+        }
+    }
+    
+    const invalidSelectors = selectorsError('includeSelectors', includeSelectors) || selectorsError('excludeSelectors', excludeSelectors);
+    if (invalidSelectors) {
+        return invalidSelectors;
+    }
+    
+    return renderOptionsError(render);
+}
+
+// Extraction options of the endpoints, and the defaults of those a request may omit
+const EXTRACT_OPTIONS = [
+    'format', 'mode', 'tables', 'metadataHeader', 'maxAge', 'noCache', 'respectRobots',
+    'maxRedirects', 'timeoutMs', 'maxBytes', 'render', 'strategy', 'engine', 'screenshot', 'pdf',
+    'includeSelectors', 'excludeSelectors'
+];
+const DEFAULT_EXTRACT_OPTIONS = { format: 'text', mode: 'full', tables: false, metadataHeader: false, noCache: false, respectRobots: false };
+
+// The extraction options set by a request body (or batch entry) over defaults
+// Returns { options, invalid }, invalid being an error message or null
+function parseExtractOptions(body, defaults = DEFAULT_EXTRACT_OPTIONS) {
+    const fields = EXTRACT_OPTIONS.filter(name => body[name] !== undefined).map(name => [name, body[name]]);
+    const options = { ...defaults, ...Object.fromEntries(fields) };
+    return { options, invalid: optionsError(options) };
+}
+
+function checkUrl(url) {
+    const parsedUrl = new URL(url);
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new Error('Only HTTP and HTTPS protocols are supported');
+    }
+}
+
+// Response fields of one extraction
+function extractionResult(url, options, extracted) {
+    const { format, mode, tables } = options;
+    
+    const result = {
+        success: true,
+        content: extracted.content,
+        format: format,
+        mode: mode,
+        url: url,
+        finalUrl: extracted.finalUrl || url,
+        redirectChain: extracted.redirectChain || [],
+        method: extracted.method,
+        engine: extracted.engine,
+        escalationReason: extracted.escalationReason,
+        contentType: extracted.contentType,
+        extractor: extracted.extractor,
+        encoding: extracted.encoding,
+        encodingSource: extracted.encodingSource,
+        cache: extracted.cache,
+        metadata: extracted.document.metadata
+    };
+    
+    if (extracted.cachedAt) {
+        result.cachedAt = extracted.cachedAt;
+    }
+    
+    if (extracted.warnings && extracted.warnings.length) {
+        result.warnings = extracted.warnings;
+    }
+    
+    // URLs of the screenshot and PDF captured by the browser
+    if (extracted.artifacts) {
+        result.artifacts = extracted.artifacts;
+    }
+    
+    if (format === 'json') {
+        result.document = extracted.document;
+    }
+    
+    // RSS/Atom feed: lets the UI offer to extract every item (see /api/feed)
+    if (extracted.feed) {
+        result.feed = extracted.feed;
+    }
+    
+    // Tables as data attachments (column names, rows and CSV)
+    if (tables) {
+        result.tables = extractTables(extracted.document);
+    }
+    
+    return result;
+}
+
+// API endpoint with simplified fetch strategy
+app.post('/api/extract', basicAuth, rateLimit, async (req, res) => {
+    const { url } = req.body;
+    
+    if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+    }
+    
+    const { options, invalid } = parseExtractOptions(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    
+    try {
+        // Validate URL
+        checkUrl(url);
+        
+        console.log(`🚀 Starting extraction for: ${url}`);
+        
+        // Extract content in the requested format, with the extractor matching the content type
+        const extracted = await extractUrl(url, options);
+        
+        console.log(`✅ Successfully extracted content from: ${url} via ${extracted.method} (${extracted.extractor})`);
+        
+        res.json({
+            ...extractionResult(url, options, extracted),
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ Extraction error for ${url}:`, error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message || 'Failed to extract content',
+            url: url
+        });
+    }
+});
+
+// Streaming variant of /api/extract: Server-Sent Events reporting each stage
+// (fetching, redirect, fallback, rendering, extracting) with its timing, then
+// `done` with the /api/extract response or `error`.
+// POST (not EventSource/GET) so the UI can send its Authorization header.
+app.post('/api/extract/stream', basicAuth, rateLimit, async (req, res) => {
+    const { url } = req.body;
+    
+    if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+    }
+    
+    const { options, invalid } = parseExtractOptions(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    
+    const start = Date.now();
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify({ ...data, elapsedMs: Date.now() - start })}\n\n`);
+    };
+    
+    // Keep proxies from closing a quiet connection during long browser renderings
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    
+    // The client went away: stop the extraction (and its browser)
+    const controller = new AbortController();
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) controller.abort();
+    });
+    
+    try {
+        checkUrl(url);
+        
+        console.log(`🚀 Starting streamed extraction for: ${url}`);
+        
+        const extracted = await extractUrl(url, options, {
+            signal: controller.signal,
+            onStage: (stage, details) => send('stage', { stage, ...details })
+        });
+        
+        console.log(`✅ Successfully extracted content from: ${url} via ${extracted.method} (${extracted.extractor})`);
+        
+        send('done', {
+            ...extractionResult(url, options, extracted),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log(`🛑 Streamed extraction abandoned by the client: ${url}`);
+            return;
+        }
+        console.error(`❌ Extraction error for ${url}:`, error);
+        send('error', { error: error.message || 'Failed to extract content', status: error.statusCode || 500, url: url });
+    }
+    
+    res.end();
+});
+
+// A batch entry is a URL or an object with its url and any of EXTRACT_OPTIONS, overriding the defaults
+function batchEntry(entry, defaults) {
+    const { url, ...fields } = typeof entry === 'string' ? { url: entry } : (entry || {});
+    return { url, options: parseExtractOptions(fields, defaults).options };
+}
+
+// Batch endpoint: extract many URLs with bounded concurrency
+// Each entry is a URL or { url, ...options } with any of the /api/extract options;
+// the top-level options are the defaults of every entry
+app.post('/api/extract/batch', basicAuth, rateLimit, async (req, res) => {
+    const { urls, concurrency = DEFAULT_BATCH_CONCURRENCY } = req.body;
+    
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ error: 'urls must be a non-empty array' });
+    }
+    
+    if (urls.length > MAX_BATCH_URLS) {
+        return res.status(400).json({ error: `Too many URLs: at most ${MAX_BATCH_URLS} per batch` });
+    }
+    
+    const { options: defaults, invalid } = parseExtractOptions(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    
+    const limit = clampOption(concurrency, DEFAULT_BATCH_CONCURRENCY, 1, MAX_BATCH_CONCURRENCY);
+    const batchStart = Date.now();
+    
+    console.log(`📦 Starting batch of ${urls.length} URLs (concurrency ${limit})`);
+    
+    // A failed URL only fails its own result
+    const results = await mapConcurrent(urls, limit, async (entry, index) => {
+        const { url, options } = batchEntry(entry, defaults);
+        const startedAt = new Date();
+        const timing = () => ({ startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime() });
+        
+        try {
+            if (!url) {
+                throw new Error('URL is required');
+            }
+            
+            const entryInvalid = optionsError(options);
+            if (entryInvalid) {
+                throw new Error(entryInvalid);
+            }
+            
+            checkUrl(url);
+            
+            const extracted = await extractUrl(url, options);
+            return { index, ...extractionResult(url, options, extracted), timing: timing() };
+        } catch (error) {
+            console.error(`❌ Batch extraction error for ${url}:`, error.message);
+            return { index, success: false, url: url || null, error: error.message || 'Failed to extract content', timing: timing() };
+        }
+    });
+    
+    const succeeded = results.filter(result => result.success).length;
+    console.log(`✅ Batch done: ${succeeded}/${results.length} succeeded`);
+    
+    res.json({
+        success: true,
+        total: results.length,
+        succeeded: succeeded,
+        failed: results.length - succeeded,
+        concurrency: limit,
+        durationMs: Date.now() - batchStart,
+        results: results,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Jobs: extractions running in the background, polled by id
+// State: queued, then the stage of the URL being processed (fetching, rendering,
+// extracting), then done, failed or cancelled
+const FINISHED_JOB_STATES = ['done', 'failed', 'cancelled'];
+const JOB_STAGES = ['fetching', 'rendering', 'extracting'];
+const jobs = new Map();
+const jobQueue = [];
+const jobControllers = new Map();
+const jobSaveTimers = new Map();
+
+// A job deleted meanwhile (DELETE /api/jobs/:id) is not written back
+function persistJob(job) {
+    clearTimeout(jobSaveTimers.get(job.id));
+    jobSaveTimers.delete(job.id);
+    if (jobs.get(job.id) !== job) return;
+    try {
+        saveJob(JOBS_DIR, job);
+    } catch (error) {
+        console.error(`❌ Could not save job ${job.id}:`, error.message);
+    }
+}
+
+// Progress updates are frequent: write them at most once per JOB_SAVE_DELAY_MS
+function touchJob(job) {
+    job.updatedAt = new Date().toISOString();
+    if (jobs.get(job.id) === job && !jobSaveTimers.has(job.id)) {
+        jobSaveTimers.set(job.id, setTimeout(() => persistJob(job), JOB_SAVE_DELAY_MS));
+    }
+}
+
+function removeJob(job) {
+    clearTimeout(jobSaveTimers.get(job.id));
+    jobSaveTimers.delete(job.id);
+    jobs.delete(job.id);
+    deleteJob(JOBS_DIR, job.id);
+}
+
+function finishJob(job, state) {
+    job.state = state;
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+    persistJob(job);
+}
+
+// Job without its (possibly large) results
+function jobSummary(job) {
+    const { items, ...summary } = job;
+    return summary;
+}
+
+async function runJob(job) {
+    const controller = new AbortController();
+    jobControllers.set(job.id, controller);
+    job.startedAt = job.startedAt || new Date().toISOString();
+    console.log(`🧵 Starting job ${job.id} (${job.total} URLs)`);
     
-    return {
-        'User-Agent': DEFAULT_USER_AGENT,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate' + (isHttps ? ', br' : ''),
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-    };
+    const pending = job.items.filter(item => !FINISHED_JOB_STATES.includes(item.state));
+    
+    await mapConcurrent(pending, job.concurrency, async item => {
+        if (controller.signal.aborted) return;
+        
+        const startedAt = new Date();
+        const timing = () => ({ startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime() });
+        const context = {
+            signal: controller.signal,
+            onStage: stage => {
+                if (!JOB_STAGES.includes(stage)) return;
+                item.state = stage;
+                job.state = stage;
+                touchJob(job);
+            }
+        };
+        
+        try {
+            if (!item.url) {
+                throw new Error('URL is required');
+            }
+            
+            const invalid = optionsError(item.options);
+            if (invalid) {
+                throw new Error(invalid);
+            }
+            
+            checkUrl(item.url);
+            
+            const extracted = await extractUrl(item.url, item.options, context);
+            Object.assign(item, extractionResult(item.url, item.options, extracted), { state: 'done', timing: timing() });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                item.state = 'cancelled';
+                return;
+            }
+            console.error(`❌ Job ${job.id} failed for ${item.url}:`, error.message);
+            Object.assign(item, { state: 'failed', success: false, error: error.message, timing: timing() });
+        }
+        
+        job.completed++;
+        touchJob(job);
+    });
+    
+    jobControllers.delete(job.id);
+    
+    // Cancelled: already finished by DELETE /api/jobs/:id
+    if (controller.signal.aborted) {
+        return;
+    }
+    
+    const failed = job.items.filter(item => item.state === 'failed');
+    if (failed.length === job.items.length) {
+        job.error = failed[0].error;
+        finishJob(job, 'failed');
+    } else {
+        finishJob(job, 'done');
+    }
+    console.log(`✅ Job ${job.id} ${job.state}: ${job.items.length - failed.length}/${job.items.length} succeeded`);
 }
 
-// Middleware
-app.use(express.json({ limit: '10mb' }));
+// Start queued jobs while fewer than MAX_RUNNING_JOBS run
+function startJobs() {
+    while (jobQueue.length && jobControllers.size < MAX_RUNNING_JOBS) {
+        const job = jobQueue.shift();
+        runJob(job)
+            .catch(error => {
+                console.error(`❌ Job ${job.id} crashed:`, error);
+                jobControllers.delete(job.id);
+                job.error = error.message;
+                finishJob(job, 'failed');
+            })
+            .finally(startJobs);
+    }
+}
 
-// CORS middleware
-app.use((req, res, next) => {
-    const origin = req.headers.origin;
+// Reload stored jobs: expired ones are removed, interrupted ones start over
+// (URLs already extracted are kept)
+function restoreJobs() {
+    const now = Date.now();
+    let resumed = 0;
     
-    if (origin && ALLOWED_ORIGINS.includes(origin)) {
-        res.header('Access-Control-Allow-Origin', origin);
-        res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    for (const job of loadJobs(JOBS_DIR)) {
+        if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+            deleteJob(JOBS_DIR, job.id);
+            continue;
+        }
+        
+        jobs.set(job.id, job);
+        
+        if (!FINISHED_JOB_STATES.includes(job.state)) {
+            job.state = 'queued';
+            for (const item of job.items) {
+                if (!FINISHED_JOB_STATES.includes(item.state)) item.state = 'queued';
+            }
+            jobQueue.push(job);
+            resumed++;
+        }
     }
     
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(204);
+    if (jobs.size) {
+        console.log(`🧵 Restored ${jobs.size} jobs (${resumed} resumed)`);
     }
-    
-    next();
-});
+    startJobs();
+}
 
-// Basic Auth middleware for API
-function basicAuth(req, res, next) {
-    const authHeader = req.headers.authorization;
+// Remove finished jobs past their time to live
+function purgeExpiredJobs() {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+        if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+            removeJob(job);
+        }
+    }
+}
+
+// Create a job: { url } or { urls: [...] }, with the options of /api/extract/batch
+app.post('/api/jobs', basicAuth, rateLimit, (req, res) => {
+    const { url, urls, concurrency = DEFAULT_BATCH_CONCURRENCY } = req.body;
+    const entries = urls || (url ? [url] : null);
     
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-        return res.status(401).json({ error: 'Authentication required' });
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ error: 'url or a non-empty urls array is required' });
     }
     
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-    const [username, password] = credentials.split(':');
+    if (entries.length > MAX_BATCH_URLS) {
+        return res.status(400).json({ error: `Too many URLs: at most ${MAX_BATCH_URLS} per job` });
+    }
     
-    if (username === BASIC_AUTH_USER && password === BASIC_AUTH_PASS) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Invalid credentials' });
+    const { options: defaults, invalid } = parseExtractOptions(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
     }
-}
-
-// HTML content extraction function (unchanged)
-function extractTextContent(html, baseUrl) {
-    // Remove script tags and their content
-    html = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
     
-    // Remove style tags and their content
-    html = html.replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '');
+    purgeExpiredJobs();
     
-    // Remove comments
-    html = html.replace(/<!--[\s\S]*?-->/g, '');
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        state: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        concurrency: clampOption(concurrency, DEFAULT_BATCH_CONCURRENCY, 1, MAX_BATCH_CONCURRENCY),
+        total: entries.length,
+        completed: 0,
+        error: null,
+        items: entries.map((entry, index) => ({ index, state: 'queued', ...batchEntry(entry, defaults) }))
+    };
     
-    // Extract and process images
-    html = html.replace(/<img[^>]*>/gi, (match) => {
-        const altMatch = match.match(/alt=["']([^"']*)["']/i);
-        const srcMatch = match.match(/src=["']([^"']*)["']/i);
-        const titleMatch = match.match(/title=["']([^"']*)["']/i);
-        
-        const alt = altMatch ? altMatch[1].substring(0, 200) : '';
-        const src = srcMatch ? srcMatch[1].substring(0, 200) : '';
-        const title = titleMatch ? titleMatch[1].substring(0, 200) : '';
-        
-        const description = alt || title || src;
-        if (description) {
-            return `[IMAGE: ${description}]`;
-        }
-        return '[IMAGE]';
-    });
+    jobs.set(job.id, job);
+    persistJob(job);
     
-    // Extract and process videos
-    html = html.replace(/<video[^>]*>[\s\S]*?<\/video>/gi, (match) => {
-        const srcMatch = match.match(/src=["']([^"']*)["']/i);
-        const titleMatch = match.match(/title=["']([^"']*)["']/i);
-        const posterMatch = match.match(/poster=["']([^"']*)["']/i);
-        
-        const src = srcMatch ? srcMatch[1].substring(0, 200) : '';
-        const title = titleMatch ? titleMatch[1].substring(0, 200) : '';
-        const poster = posterMatch ? posterMatch[1].substring(0, 200) : '';
-        
-        const description = title || src || poster || 'embedded video';
-        return `[VIDEO: ${description}]`;
-    });
+    console.log(`🧵 Job ${job.id} queued (${job.total} URLs)`);
+    jobQueue.push(job);
+    startJobs();
     
-    // Extract and process audio
-    html = html.replace(/<audio[^>]*>[\s\S]*?<\/audio>/gi, (match) => {
-        const srcMatch = match.match(/src=["']([^"']*)["']/i);
-        const titleMatch = match.match(/title=["']([^"']*)["']/i);
-        
-        const src = srcMatch ? srcMatch[1].substring(0, 200) : '';
-        const title = titleMatch ? titleMatch[1].substring(0, 200) : '';
-        
-        const description = title || src || 'embedded audio';
-        return `[AUDIO: ${description}]`;
+    res.status(202).json({
+        success: true,
+        id: job.id,
+        state: job.state,
+        statusUrl: `/api/jobs/${job.id}`
     });
+});
+
+// Job list, without results
+app.get('/api/jobs', basicAuth, (req, res) => {
+    res.json({ jobs: [...jobs.values()].map(jobSummary) });
+});
+
+// Job state and results
+app.get('/api/jobs/:id', basicAuth, (req, res) => {
+    const job = jobs.get(req.params.id);
     
-    // Extract and process iframes
-    html = html.replace(/<iframe[^>]*>[\s\S]*?<\/iframe>/gi, (match) => {
-        const srcMatch = match.match(/src=["']([^"']*)["']/i);
-        const titleMatch = match.match(/title=["']([^"']*)["']/i);
-        const nameMatch = match.match(/name=["']([^"']*)["']/i);
-        
-        const src = srcMatch ? srcMatch[1].substring(0, 200) : '';
-        const title = titleMatch ? titleMatch[1].substring(0, 200) : '';
-        const name = nameMatch ? nameMatch[1].substring(0, 200) : '';
-        
-        const description = title || name || src || 'embedded content';
-        return `[IFRAME: ${description}]`;
-    });
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(job);
+});
+
+// Cancel a queued or running job (closing its browser), or delete a finished one
+app.delete('/api/jobs/:id', basicAuth, (req, res) => {
+    const job = jobs.get(req.params.id);
     
-    // Extract title
-    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-    const title = titleMatch ? titleMatch[1].trim() : '';
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
     
-    // Extract meta description
-    const metaMatch = html.match(/<meta\s+name=["']description["']\s+content=["']([^"']*)["']/i);
-    const description = metaMatch ? metaMatch[1].trim() : '';
+    if (FINISHED_JOB_STATES.includes(job.state)) {
+        removeJob(job);
+        return res.json({ success: true, id: job.id, deleted: true });
+    }
     
-    // Process headings to maintain structure
-    html = html.replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) => {
-        const cleanContent = content.replace(/<[^>]*>/g, '').trim();
-        return '\n\n' + '#'.repeat(parseInt(level)) + ' ' + cleanContent + '\n\n';
-    });
+    const queued = jobQueue.indexOf(job);
+    if (queued !== -1) {
+        jobQueue.splice(queued, 1);
+    }
     
-    // Process paragraphs
-    html = html.replace(/<p[^>]*>([\s\S]*?)<\/p>/gi, (match, content) => {
-        const cleanContent = content.replace(/<[^>]*>/g, '').trim();
-        return cleanContent ? '\n\n' + cleanContent + '\n\n' : '';
-    });
+    const controller = jobControllers.get(job.id);
+    if (controller) {
+        controller.abort();
+    }
     
-    // Process lists
-    html = html.replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, (match, content) => {
-        const cleanContent = content.replace(/<[^>]*>/g, '').trim();
-        return cleanContent ? '\n• ' + cleanContent : '';
-    });
+    for (const item of job.items) {
+        if (!FINISHED_JOB_STATES.includes(item.state)) item.state = 'cancelled';
+    }
+    finishJob(job, 'cancelled');
     
-    // Process links to preserve context
-    html = html.replace(/<a[^>]*href=["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, content) => {
-        const cleanContent = content.replace(/<[^>]*>/g, '').trim();
-        if (cleanContent && href && !href.startsWith('#')) {
-            const absoluteUrl = resolveUrl(href, baseUrl);
-            return `${cleanContent} [${absoluteUrl}]`;
-        }
-        return cleanContent;
+    console.log(`🛑 Job ${job.id} cancelled`);
+    res.json({ success: true, ...jobSummary(job) });
+});
+
+// Cache administration: list entries (optionally ?url=), inspect one, purge
+app.get('/api/cache', basicAuth, (req, res) => {
+    const entries = listEntries(CACHE_DIR).filter(entry => !req.query.url || entry.url === req.query.url);
+    
+    res.json({
+        total: entries.length,
+        size: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+        maxAge: CACHE_MAX_AGE,
+        maxEntries: CACHE_MAX_ENTRIES,
+        maxBytes: CACHE_MAX_BYTES,
+        entries: entries
     });
+});
+
+// Entry with its extraction result; /body serves the raw response as it was fetched
+app.get('/api/cache/:key', basicAuth, (req, res) => {
+    const entry = isCacheKey(req.params.key) && readEntry(CACHE_DIR, req.params.key);
     
-    // Remove remaining HTML tags
-    html = html.replace(/<[^>]*>/g, ' ');
+    if (!entry) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
     
-    // Clean up whitespace
-    html = html.replace(/&nbsp;/g, ' ');
-    html = html.replace(/&amp;/g, '&');
-    html = html.replace(/&lt;/g, '<');
-    html = html.replace(/&gt;/g, '>');
-    html = html.replace(/&quot;/g, '"');
-    html = html.replace(/&#39;/g, "'");
-    html = html.replace(/\s+/g, ' ');
-    html = html.replace(/\n\s*\n\s*\n/g, '\n\n');
+    res.json(entry);
+});
+
+app.get('/api/cache/:key/body', basicAuth, (req, res) => {
+    const entry = isCacheKey(req.params.key) && readEntry(CACHE_DIR, req.params.key);
+    const body = entry && readBody(CACHE_DIR, entry.key);
     
-    // Build structured content
-    let structuredContent = '';
+    if (!body) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
     
-    if (title) {
-        structuredContent += `TITLE: ${title}\n\n`;
+    // Never let a cached page run in the application's origin
+    res.setHeader('Content-Type', entry.contentType);
+    res.set('Content-Security-Policy', 'sandbox');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.send(body);
+});
+
+app.delete('/api/cache/:key', basicAuth, (req, res) => {
+    if (!isCacheKey(req.params.key) || !deleteEntry(CACHE_DIR, req.params.key)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
     }
     
-    if (description) {
-        structuredContent += `DESCRIPTION: ${description}\n\n`;
+    res.json({ success: true, purged: 1 });
+});
+
+// Purge every entry, those of ?url=, or those fetched more than ?olderThan= seconds ago
+app.delete('/api/cache', basicAuth, (req, res) => {
+    const { url, olderThan } = req.query;
+    const cutoff = olderThan !== undefined ? Date.now() - Number(olderThan) * 1000 : null;
+    
+    if (cutoff !== null && isNaN(cutoff)) {
+        return res.status(400).json({ error: 'olderThan must be a number of seconds' });
     }
     
-    structuredContent += `URL: ${baseUrl}\n\n`;
-    structuredContent += '---CONTENT---\n\n';
-    structuredContent += html.trim();
+    const purged = listEntries(CACHE_DIR)
+        .filter(entry => !url || entry.url === url)
+        .filter(entry => cutoff === null || Date.parse(entry.fetchedAt) < cutoff)
+        .filter(entry => deleteEntry(CACHE_DIR, entry.key))
+        .length;
     
-    return structuredContent;
-}
+    console.log(`🧹 Purged ${purged} cache entries`);
+    res.json({ success: true, purged: purged });
+});
 
-function resolveUrl(url, base) {
-    try {
-        return new URL(url, base).href;
-    } catch {
-        return url;
+// Screenshot or PDF captured during an extraction (see the artifacts of /api/extract)
+app.get('/api/artifacts/:name', basicAuth, (req, res) => {
+    const artifact = readArtifact(ARTIFACTS_DIR, req.params.name);
+    
+    if (!artifact) {
+        return res.status(404).json({ error: 'Capture not found' });
     }
+    
+    res.setHeader('Content-Type', artifact.contentType);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.send(artifact.data);
+});
+
+// Integer option clamped to [min, max], or the default when missing/invalid
+function clampOption(value, defaultValue, min, max) {
+    const number = parseInt(value, 10);
+    return Math.min(Math.max(isNaN(number) ? defaultValue : number, min), max);
 }
 
-// Simple fetch function
-async function simpleFetch(url) {
-    return new Promise((resolve, reject) => {
-        const parsedUrl = new URL(url);
-        const client = parsedUrl.protocol === 'https:' ? https : http;
-        const headers = getBasicHeaders(url);
+// Crawl endpoint: extract a site by following its links from a seed URL
+app.post('/api/crawl', basicAuth, rateLimit, async (req, res) => {
+    const {
+        url,
+        maxDepth,
+        maxPages,
+        include,
+        exclude,
+        allowOrigins,
+        concurrency
+    } = req.body;
+    
+    if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+    }
+    
+    const { options, invalid } = parseExtractOptions(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    
+    const crawlOptions = {
+        maxDepth: clampOption(maxDepth, DEFAULT_CRAWL_DEPTH, 0, MAX_CRAWL_DEPTH),
+        maxPages: clampOption(maxPages, DEFAULT_CRAWL_PAGES, 1, MAX_CRAWL_PAGES),
+        concurrency: clampOption(concurrency, DEFAULT_BATCH_CONCURRENCY, 1, MAX_BATCH_CONCURRENCY),
+        include,
+        exclude,
+        allowOrigins
+    };
+    
+    try {
+        checkUrl(url);
         
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-            path: parsedUrl.pathname + parsedUrl.search,
-            method: 'GET',
-            headers: headers,
-            timeout: 15000
-        };
+        console.log(`🕸️ Starting crawl from ${url} (depth ${crawlOptions.maxDepth}, ${crawlOptions.maxPages} pages max)`);
+        const crawlStart = Date.now();
         
-        const request = client.request(options, (response) => {
-            let data = [];
-            
-            // Handle redirects
-            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                const redirectUrl = resolveUrl(response.headers.location, url);
-                console.log(`🔀 Redirecting to: ${redirectUrl}`);
-                return resolve(simpleFetch(redirectUrl));
-            }
-            
-            if (response.statusCode !== 200) {
-                return reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-            }
-            
-            // Handle compressed responses
-            let stream = response;
-            const encoding = response.headers['content-encoding'];
-            
-            if (encoding === 'gzip') {
-                stream = response.pipe(zlib.createGunzip());
-            } else if (encoding === 'deflate') {
-                stream = response.pipe(zlib.createInflate());
-            } else if (encoding === 'br') {
-                stream = response.pipe(zlib.createBrotliDecompress());
-            }
-            
-            stream.on('data', (chunk) => {
-                data.push(chunk);
-            });
-            
-            stream.on('end', () => {
-                const html = Buffer.concat(data).toString('utf8');
-                resolve(html);
-            });
-            
-            stream.on('error', (err) => {
-                reject(new Error(`Stream error: ${err.message}`));
-            });
+        const { pages, truncated } = await crawl(url, crawlOptions, async pageUrl => {
+            const extracted = await extractUrl(pageUrl, { ...options, collectLinks: true });
+            return {
+                result: extractionResult(pageUrl, options, extracted),
+                links: extracted.document.links || []
+            };
         });
         
-        request.on('error', (err) => {
-            reject(new Error(`Request error: ${err.message}`));
-        });
+        const succeeded = pages.filter(page => page.success).length;
+        console.log(`✅ Crawl done: ${succeeded}/${pages.length} pages from ${url}`);
         
-        request.on('timeout', () => {
-            request.destroy();
-            reject(new Error('Request timeout'));
+        res.json({
+            success: true,
+            url: url,
+            maxDepth: crawlOptions.maxDepth,
+            maxPages: crawlOptions.maxPages,
+            total: pages.length,
+            succeeded: succeeded,
+            failed: pages.length - succeeded,
+            truncated: truncated,
+            durationMs: Date.now() - crawlStart,
+            pages: pages,
+            timestamp: new Date().toISOString()
         });
         
-        request.end();
-    });
-}
+    } catch (error) {
+        console.error(`❌ Crawl error for ${url}:`, error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message || 'Failed to crawl',
+            url: url
+        });
+    }
+});
 
-// Playwright fallback function
-async function playwrightFetch(url) {
-    console.log('🎭 Starting Playwright fallback...');
-    
-    // Randomly choose between chromium and firefox
-    const browsers = [chromium, firefox];
-    const selectedBrowser = browsers[Math.floor(Math.random() * browsers.length)];
-    const browserName = selectedBrowser === chromium ? 'Chromium' : 'Firefox';
+// Sitemap endpoint: list the pages of a site's sitemaps and extract them
+// url is either a sitemap (.xml / .xml.gz) or any page of the site to discover them from
+app.post('/api/sitemap', basicAuth, rateLimit, async (req, res) => {
+    const {
+        url,
+        listOnly = false,
+        since,
+        until,
+        include,
+        exclude,
+        maxUrls,
+        concurrency
+    } = req.body;
     
-    console.log(`🎭 Using ${browserName} for ${url}`);
+    if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+    }
     
-    let browser, page;
+    const { options, invalid } = parseExtractOptions(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
     
     try {
-        browser = await selectedBrowser.launch({
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process'
-            ]
-        });
+        checkUrl(url);
+        const sitemapStart = Date.now();
         
-        page = await browser.newPage();
+        const fetchSitemap = sitemapUrl => fetchText(sitemapUrl, { maxBytes: options.maxBytes });
         
-        // Set a reasonable viewport
-        await page.setViewportSize({ width: 1280, height: 720 });
-        
-        // Navigate to the page with timeout
-        await page.goto(url, { 
-            waitUntil: 'domcontentloaded',
-            timeout: 30000 
-        });
+        let discovery;
+        if (/\.xml(\.gz)?$/i.test(new URL(url).pathname)) {
+            discovery = { sitemaps: [url], source: 'url' };
+        } else {
+            discovery = await discoverSitemaps(url, fetchSitemap);
+        }
         
-        // Wait a bit for dynamic content to load
-        await page.waitForTimeout(2000);
+        console.log(`🗺️ Reading sitemaps (${discovery.source}): ${discovery.sitemaps.join(', ')}`);
         
-        // Get the HTML content
-        const html = await page.content();
+        const collected = await collectSitemapUrls(discovery.sitemaps, fetchSitemap, { since, until, include, exclude });
         
-        console.log(`✅ ${browserName} successfully fetched content from ${url}`);
-        return html;
+        if (!collected.urls.length && collected.errors.length === collected.sitemaps.length) {
+            // Every sitemap over maxBytes: refused like an oversized page
+            const tooLarge = collected.errors.every(failure => failure.status === 413);
+            return res.status(tooLarge ? 413 : 404).json({ error: 'No readable sitemap found', url: url, errors: collected.errors });
+        }
         
-    } catch (error) {
-        console.error(`❌ ${browserName} failed for ${url}:`, error.message);
-        throw error;
-    } finally {
-        if (page) await page.close().catch(() => {});
-        if (browser) await browser.close().catch(() => {});
-    }
-}
-
-// Main fetch function with Playwright fallback
-async function fetchWithFallback(url) {
-    try {
-        console.log(`🌐 Trying simple fetch for: ${url}`);
-        const content = await simpleFetch(url);
-        console.log(`✅ Simple fetch succeeded for: ${url}`);
-        return content;
-    } catch (error) {
-        console.log(`❌ Simple fetch failed for ${url}: ${error.message}`);
-        console.log(`🎭 Falling back to Playwright...`);
+        const result = {
+            success: true,
+            url: url,
+            source: discovery.source,
+            sitemaps: collected.sitemaps,
+            errors: collected.errors,
+            total: collected.urls.length,
+            truncated: collected.truncated
+        };
         
-        try {
-            const content = await playwrightFetch(url);
-            return content;
-        } catch (playwrightError) {
-            console.error(`❌ Playwright also failed for ${url}: ${playwrightError.message}`);
-            throw new Error(`Both simple fetch and browser failed: ${error.message} | ${playwrightError.message}`);
+        if (listOnly) {
+            // Preview of what would be extracted
+            result.urls = collected.urls;
+        } else {
+            const entries = collected.urls.slice(0, clampOption(maxUrls, DEFAULT_SITEMAP_URLS, 1, MAX_BATCH_URLS));
+            const limit = clampOption(concurrency, DEFAULT_BATCH_CONCURRENCY, 1, MAX_BATCH_CONCURRENCY);
+            
+            result.results = await mapConcurrent(entries, limit, async ({ loc, lastmod }) => {
+                const startedAt = new Date();
+                const timing = () => ({ startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime() });
+                
+                try {
+                    checkUrl(loc);
+                    const extracted = await extractUrl(loc, options);
+                    return { ...extractionResult(loc, options, extracted), lastmod: lastmod, timing: timing() };
+                } catch (error) {
+                    console.error(`❌ Sitemap extraction error for ${loc}:`, error.message);
+                    return { success: false, url: loc, lastmod: lastmod, error: error.message, timing: timing() };
+                }
+            });
+            
+            result.succeeded = result.results.filter(page => page.success).length;
+            result.failed = result.results.length - result.succeeded;
         }
+        
+        console.log(`✅ Sitemap done: ${collected.urls.length} URLs from ${collected.sitemaps.length} sitemaps`);
+        
+        res.json({
+            ...result,
+            durationMs: Date.now() - sitemapStart,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`❌ Sitemap error for ${url}:`, error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message || 'Failed to read sitemap',
+            url: url
+        });
     }
-}
+});
 
-// API endpoint with simplified fetch strategy
-app.post('/api/extract', basicAuth, async (req, res) => {
-    const { url } = req.body;
+// Feed endpoint: list the items of an RSS/Atom feed, optionally extracting each of them
+app.post('/api/feed', basicAuth, rateLimit, async (req, res) => {
+    const {
+        url,
+        extractItems = false,
+        limit = DEFAULT_FEED_ITEMS
+    } = req.body;
     
     if (!url) {
         return res.status(400).json({ error: 'URL is required' });
     }
     
+    const { options, invalid } = parseExtractOptions(req.body);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    
+    const itemLimit = clampOption(limit, DEFAULT_FEED_ITEMS, 1, MAX_FEED_ITEMS);
+    
     try {
-        // Validate URL
-        const parsedUrl = new URL(url);
-        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-            throw new Error('Only HTTP and HTTPS protocols are supported');
+        checkUrl(url);
+        
+        console.log(`📰 Reading feed: ${url}`);
+        
+        if (RESPECT_ROBOTS || options.respectRobots) {
+            await enforceRobots(url, {});
         }
         
-        console.log(`🚀 Starting extraction for: ${url}`);
+        // Feeds are plain XML documents: no browser fallback
+        const feed = readFeed(await fetchText(url, { maxBytes: options.maxBytes }), url);
+        
+        if (!feed) {
+            return res.status(422).json({ error: 'Not an RSS or Atom feed', url: url });
+        }
         
-        // Track extraction method
-        let extractionMethod = 'unknown';
+        const items = feed.items.slice(0, itemLimit);
         let content;
         
-        try {
-            console.log(`🌐 Trying simple fetch for: ${url}`);
-            content = await simpleFetch(url);
-            extractionMethod = 'http';
-            console.log(`✅ Simple fetch succeeded for: ${url}`);
-        } catch (error) {
-            console.log(`❌ Simple fetch failed for ${url}: ${error.message}`);
-            console.log(`🎭 Falling back to Playwright...`);
+        if (extractItems) {
+            // One item at a time: each may need a browser
+            const contents = [];
             
-            try {
-                content = await playwrightFetch(url);
-                extractionMethod = 'browser';
-                console.log(`✅ Playwright succeeded for: ${url}`);
-            } catch (playwrightError) {
-                console.error(`❌ Playwright also failed for ${url}: ${playwrightError.message}`);
-                throw new Error(`Both simple fetch and browser failed: ${error.message} | ${playwrightError.message}`);
+            for (const item of items) {
+                const itemUrl = /^https?:/i.test(item.link) ? item.link : '';
+                if (!itemUrl) {
+                    Object.assign(item, { success: false, error: 'Item has no HTTP link' });
+                    continue;
+                }
+                
+                try {
+                    const extracted = await extractUrl(itemUrl, options);
+                    contents.push(extracted.content);
+                    Object.assign(item, { success: true, method: extracted.method, extractor: extracted.extractor });
+                } catch (error) {
+                    console.error(`❌ Feed item failed ${itemUrl}:`, error.message);
+                    Object.assign(item, { success: false, error: error.message });
+                }
             }
+            
+            content = contents.join(SEPARATOR);
+            console.log(`✅ Extracted ${contents.length}/${items.length} items from feed: ${url}`);
+        } else {
+            content = render(extractFeed({ ...feed, items }, url), options.format, options);
         }
         
-        // Extract text content
-        const extractedContent = extractTextContent(content, url);
-        
-        console.log(`✅ Successfully extracted content from: ${url} via ${extractionMethod}`);
-        
         res.json({
             success: true,
-            content: extractedContent,
+            content: content,
+            format: options.format,
+            mode: options.mode,
             url: url,
-            method: extractionMethod, // Add this line
+            feed: {
+                type: feed.type,
+                title: feed.title,
+                link: feed.link,
+                description: feed.description,
+                updated: feed.updated,
+                itemCount: feed.items.length
+            },
+            items: items,
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error(`❌ Extraction error for ${url}:`, error);
-        res.status(500).json({ 
-            error: error.message || 'Failed to extract content',
+        console.error(`❌ Feed error for ${url}:`, error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message || 'Failed to read feed',
             url: url
         });
     }
@@ -563,11 +2003,26 @@ self.SW_ENABLE_LOGS = '${process.env.SW_ENABLE_LOGS || 'true'}';
 // Serve static files
 app.use(express.static(__dirname));
 
+// Fetch limits, for the UI's advanced options
+app.get('/api/limits', basicAuth, (req, res) => {
+    res.json({
+        maxBytes: MAX_RESPONSE_BYTES,
+        maxRedirects: MAX_REDIRECTS,
+        engine: BROWSER_ENGINE,
+        timeoutMs: {
+            http: HTTP_TIMEOUT_MS,
+            browser: BROWSER_TIMEOUT_MS,
+            max: MAX_TIMEOUT_MS
+        }
+    });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ 
         status: 'ok', 
         service: 'mpaka',
+        browserPool: browserPool.stats(),
         timestamp: new Date().toISOString() 
     });
 });
@@ -591,8 +2046,27 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+restoreJobs();
+
+const server = app.listen(PORT, () => {
     console.log(`🌴 mpaka server running at http://localhost:${PORT}`);
     console.log(`Allowed origins: ${ALLOWED_ORIGINS.join(', ')}`);
-    console.log(`🎭 Playwright fallback enabled`);
+    console.log(`🎭 Playwright fallback enabled (${ENGINE_NAMES[BROWSER_ENGINE]} first, ${BROWSER_MAX_PAGES} pages at once)`);
 });
+
+// Clean shutdown: stop accepting requests, write pending job updates, close the browsers
+async function shutdown(signal) {
+    console.log(`🛑 ${signal} received, shutting down`);
+    server.close();
+    server.closeAllConnections();
+    
+    for (const id of [...jobSaveTimers.keys()]) {
+        if (jobs.has(id)) persistJob(jobs.get(id));
+    }
+    
+    await browserPool.close();
+    process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
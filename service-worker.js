@@ -177,8 +177,11 @@ self.addEventListener('activate', event => {
 
 // ROBUST STRATEGY: NETWORK FIRST WITH FULL APP CACHE FALLBACK
 self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+
   // Only handle same-origin requests, let browser handle external domains naturally
-  if (event.request.url.startsWith(self.location.origin)) {
+  // API calls always go to the network: their responses are per user and never cached
+  if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
     event.respondWith(handleFetch(event.request));
   }
   // External domains like analytics.kahiether.com pass through automatically
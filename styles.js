@@ -106,6 +106,69 @@ main {
     box-shadow: 0 0 0 3px rgba(212, 117, 58, 0.2);
 }
 
+.options-group {
+    display: flex;
+    gap: 1rem;
+    margin-bottom: 1rem;
+    flex-wrap: wrap;
+}
+
+.option-field {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    color: var(--text-secondary);
+    font-size: 0.9rem;
+}
+
+.option-select {
+    padding: 0.5rem 0.75rem;
+    font-size: 0.9rem;
+    background-color: var(--bg-tertiary);
+    border: 2px solid var(--border-color);
+    border-radius: 8px;
+    color: var(--text-primary);
+    transition: border-color 0.3s ease;
+}
+
+.option-select:focus,
+.option-input:focus {
+    outline: none;
+    border-color: var(--accent-primary);
+}
+
+.option-input {
+    width: 7rem;
+    padding: 0.5rem 0.75rem;
+    font-size: 0.9rem;
+    background-color: var(--bg-tertiary);
+    border: 2px solid var(--border-color);
+    border-radius: 8px;
+    color: var(--text-primary);
+    transition: border-color 0.3s ease;
+}
+
+.selector-input {
+    width: 14rem;
+    font-family: 'Monaco', 'Consolas', 'Courier New', monospace;
+}
+
+.advanced-options {
+    margin-bottom: 1rem;
+    color: var(--text-secondary);
+    font-size: 0.9rem;
+}
+
+.advanced-options summary {
+    cursor: pointer;
+    margin-bottom: 0.75rem;
+}
+
+.limits-info {
+    color: var(--text-secondary);
+    font-size: 0.8rem;
+}
+
 .fetch-button {
     padding: 0.75rem 1.5rem;
     font-size: 1rem;
@@ -173,6 +236,94 @@ main {
     animation: fadeIn 0.3s ease;
 }
 
+.progress-log {
+    display: none;
+    list-style: none;
+    margin-top: 0.75rem;
+    padding: 0.75rem 1rem;
+    background-color: var(--bg-tertiary);
+    border: 1px solid var(--border-color);
+    border-radius: 8px;
+    font-family: 'Monaco', 'Consolas', 'Courier New', monospace;
+    font-size: 0.85rem;
+    color: var(--text-secondary);
+}
+
+.progress-log.show {
+    display: block;
+    animation: fadeIn 0.3s ease;
+}
+
+.progress-log li {
+    display: flex;
+    justify-content: space-between;
+    gap: 1rem;
+    padding: 0.15rem 0;
+    word-break: break-all;
+}
+
+.progress-log li.final {
+    color: var(--text-primary);
+    font-weight: 600;
+}
+
+.progress-time {
+    flex-shrink: 0;
+    color: var(--accent-primary);
+}
+
+.feed-actions {
+    display: none;
+    align-items: center;
+    gap: 1rem;
+    margin-top: 0.75rem;
+    color: var(--text-secondary);
+    font-size: 0.9rem;
+    flex-wrap: wrap;
+}
+
+.feed-actions.show {
+    display: flex;
+    animation: fadeIn 0.3s ease;
+}
+
+.action-button:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+}
+
+/* Captures of the extracted pages */
+.capture-list {
+    display: flex;
+    gap: 0.75rem;
+    flex-wrap: wrap;
+}
+
+.capture-item {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+    margin-bottom: 1rem;
+    max-width: 160px;
+    color: var(--text-secondary);
+    font-size: 0.8rem;
+    word-break: break-all;
+    animation: fadeIn 0.3s ease;
+}
+
+.capture-item img {
+    width: 160px;
+    height: 100px;
+    object-fit: cover;
+    object-position: top;
+    border: 1px solid var(--border-color);
+    border-radius: 6px;
+}
+
+.capture-item a {
+    color: var(--accent-primary);
+}
+
 /* Section output */
 .output-section {
     background-color: var(--bg-secondary);
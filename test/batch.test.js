@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mapConcurrent } = require('../lib/concurrency');
+const { startServer, startSite } = require('./support/server');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapConcurrent keeps at most limit calls in flight and results in order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapConcurrent([30, 10, 20, 0, 5], 2, async (ms, index) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await delay(ms);
+        inFlight--;
+        return index;
+    });
+
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+});
+
+test('a batch extracts every entry, failures included, with per-entry options', async t => {
+    const site = await startSite((req, res) => {
+        res.statusCode = req.url === '/missing' ? 404 : 200;
+        res.setHeader('content-type', 'text/html');
+        res.end(`<title>${req.url}</title><p>body of ${req.url}</p>`);
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const response = await server.api('POST', '/api/extract/batch', {
+        urls: [`${site.origin}/a`, { url: `${site.origin}/b`, format: 'markdown' }, `${site.origin}/missing`, { format: 'text' }],
+        strategy: 'http',
+        concurrency: 2
+    });
+    assert.strictEqual(response.status, 200);
+
+    const { results } = response.json;
+    assert.strictEqual(response.json.succeeded, 2);
+    assert.strictEqual(response.json.failed, 2);
+    assert.deepStrictEqual(results.map(result => result.index), [0, 1, 2, 3]);
+    assert.strictEqual(results[0].format, 'text');
+    assert.strictEqual(results[1].format, 'markdown');
+    assert.match(results[1].content, /body of \/b/);
+    assert.strictEqual(results[2].success, false);
+    assert.strictEqual(results[3].error, 'URL is required');
+});
+
+test('a batch refuses an empty or invalid list', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    assert.strictEqual((await server.api('POST', '/api/extract/batch', { urls: [] })).status, 400);
+    assert.strictEqual((await server.api('POST', '/api/extract/batch', { urls: ['https://example.com/'], format: 'pdf' })).status, 400);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowserPool } = require('../lib/browser-pool');
+
+// A Playwright browser type whose browsers and contexts are recorded: contexts
+// keep their options and WebSocket routes, browsers can be made to disconnect
+function fakeBrowserType(contexts = [], browsers = []) {
+    return {
+        launch: async () => {
+            const listeners = {};
+            const browser = {
+                closed: false,
+                on: (event, listener) => {
+                    listeners[event] = listener;
+                },
+                close: async () => {
+                    browser.closed = true;
+                },
+                disconnect: () => listeners.disconnected(),
+                newContext: async options => {
+                    const context = { browser, options, webSocketRoutes: [] };
+                    context.routeWebSocket = async (url, handler) => context.webSocketRoutes.push({ url, handler });
+                    context.newPage = async () => ({ context });
+                    context.close = async () => {};
+                    contexts.push(context);
+                    return context;
+                }
+            };
+            browsers.push(browser);
+            return browser;
+        }
+    };
+}
+
+function fakePool(options, contexts, browsers) {
+    return createBrowserPool({
+        engines: { fake: { type: fakeBrowserType(contexts, browsers), options: {} } },
+        maxPages: 1,
+        maxUses: 10,
+        ...options
+    });
+}
+
+test('pages run without service workers and their WebSockets are closed', async t => {
+    const contexts = [];
+    const pool = fakePool({}, contexts);
+    t.after(() => pool.close());
+
+    const viewport = { width: 1280, height: 720 };
+    await pool.withPage('fake', async () => {}, { contextOptions: { viewport, serviceWorkers: 'allow' } });
+
+    const [context] = contexts;
+    assert.deepStrictEqual(context.options, { viewport, serviceWorkers: 'block' });
+
+    assert.strictEqual(context.webSocketRoutes.length, 1);
+    const { url, handler } = context.webSocketRoutes[0];
+    assert.ok(url.test('wss://127.0.0.1:8080/socket'));
+    let closed = false;
+    handler({ url: () => 'wss://127.0.0.1:8080/socket', close: () => { closed = true; } });
+    assert.strictEqual(closed, true);
+});
+
+test('pages past maxPages wait for a free slot, or give up with their signal', async t => {
+    const pool = fakePool({ maxPages: 1 });
+    t.after(() => pool.close());
+
+    let releaseFirst;
+    const first = pool.withPage('fake', () => new Promise(resolve => {
+        releaseFirst = resolve;
+    }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const controller = new AbortController();
+    const abandoned = pool.withPage('fake', async () => {}, { signal: controller.signal });
+    let secondRan = false;
+    const second = pool.withPage('fake', async () => {
+        secondRan = true;
+    });
+    assert.strictEqual(pool.stats().queued, 2);
+
+    controller.abort();
+    await assert.rejects(abandoned, { name: 'AbortError' });
+    assert.strictEqual(pool.stats().queued, 1);
+
+    releaseFirst();
+    await Promise.all([first, second]);
+    assert.strictEqual(secondRan, true);
+    assert.strictEqual(pool.stats().activePages, 0);
+});
+
+test('a browser is relaunched after maxUses pages and after a crash', async t => {
+    const contexts = [];
+    const browsers = [];
+    const pool = fakePool({ maxUses: 2 }, contexts, browsers);
+    t.after(() => pool.close());
+
+    for (let page = 0; page < 3; page++) {
+        await pool.withPage('fake', async () => {});
+    }
+    assert.strictEqual(browsers.length, 2);
+    assert.strictEqual(browsers[0].closed, true);
+    assert.deepStrictEqual(contexts.map(context => browsers.indexOf(context.browser)), [0, 0, 1]);
+
+    browsers[1].disconnect();
+    await pool.withPage('fake', async () => {});
+    assert.strictEqual(browsers.length, 3);
+    assert.strictEqual(pool.stats().crashed, 1);
+});
+
+test('closing the pool fails the waiting pages and closes the browsers', async () => {
+    const browsers = [];
+    const pool = fakePool({}, [], browsers);
+
+    let releaseFirst;
+    const first = pool.withPage('fake', () => new Promise(resolve => {
+        releaseFirst = resolve;
+    }));
+    await new Promise(resolve => setImmediate(resolve));
+    const waiting = pool.withPage('fake', async () => {});
+
+    await pool.close();
+    await assert.rejects(waiting, /Browser pool is shut down/);
+    await assert.rejects(pool.withPage('fake', async () => {}), /Browser pool is shut down/);
+    assert.strictEqual(browsers[0].closed, true);
+
+    releaseFirst();
+    await first;
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cacheKey, listEntries, pruneEntries, readEntry, touchEntry, writeEntry } = require('../lib/cache');
+
+function storeEntries(dir, count, size) {
+    const keys = [];
+    for (let i = 0; i < count; i++) {
+        const key = cacheKey(`https://example.com/${i}`, { format: 'text' });
+        writeEntry(dir, { key, url: `https://example.com/${i}` }, Buffer.alloc(size));
+        // Used one second apart, the first one least recently
+        const usedAt = new Date(Date.now() - (count - i) * 1000);
+        fs.utimesSync(path.join(dir, `${key}.json`), usedAt, usedAt);
+        keys.push(key);
+    }
+    return keys;
+}
+
+test('pruning removes the least recently used entries past maxEntries', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const keys = storeEntries(dir, 5, 10);
+    touchEntry(dir, keys[0]);
+
+    assert.strictEqual(pruneEntries(dir, { maxEntries: 3, maxBytes: Infinity }), 2);
+    assert.deepStrictEqual(listEntries(dir).map(entry => entry.key).sort(), [keys[0], keys[3], keys[4]].sort());
+    assert.strictEqual(fs.existsSync(path.join(dir, `${keys[1]}.body`)), false);
+});
+
+test('pruning keeps the most recently used entries within maxBytes', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const keys = storeEntries(dir, 4, 1000);
+
+    assert.strictEqual(pruneEntries(dir, { maxEntries: 100, maxBytes: 2500 }), 2);
+    assert.strictEqual(readEntry(dir, keys[1]), null);
+    assert.ok(readEntry(dir, keys[2]) && readEntry(dir, keys[3]));
+});
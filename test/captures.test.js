@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { capturePage } = require('../lib/render');
+const { pruneArtifacts, readArtifact, saveArtifact } = require('../lib/artifacts');
+const { startServer, startSite } = require('./support/server');
+
+function fakePage({ failScreenshot = false } = {}) {
+    return {
+        screenshot: async () => {
+            if (failScreenshot) throw new Error('Target closed\nCall log: ...');
+            return Buffer.from('png');
+        },
+        pdf: async () => Buffer.from('pdf')
+    };
+}
+
+test('the rendered page is captured as asked, PDFs by Chromium only', async () => {
+    const both = await capturePage(fakePage(), { screenshot: true, pdf: true }, 'chromium');
+    assert.deepStrictEqual(both, { captures: { screenshot: Buffer.from('png'), pdf: Buffer.from('pdf') }, warnings: [] });
+
+    const firefox = await capturePage(fakePage({ failScreenshot: true }), { screenshot: true, pdf: true }, 'firefox');
+    assert.deepStrictEqual(firefox.captures, {});
+    assert.deepStrictEqual(firefox.warnings, [
+        'Screenshot failed: Target closed',
+        'No PDF: the page was rendered by firefox, only Chromium prints to PDF'
+    ]);
+});
+
+test('captures are stored under random names and pruned by age', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const name = saveArtifact(dir, 'pdf', Buffer.from('%PDF'));
+    assert.match(name, /^[0-9a-f]{32}\.pdf$/);
+    assert.deepStrictEqual(readArtifact(dir, name), { data: Buffer.from('%PDF'), contentType: 'application/pdf' });
+    assert.strictEqual(readArtifact(dir, '../jobs/secret.json'), null);
+    assert.strictEqual(readArtifact(dir, `${'0'.repeat(32)}.png`), null);
+
+    assert.strictEqual(pruneArtifacts(dir, 60000), 0);
+    const old = new Date(Date.now() - 120000);
+    fs.utimesSync(path.join(dir, name), old, old);
+    assert.strictEqual(pruneArtifacts(dir, 60000), 1);
+    assert.strictEqual(readArtifact(dir, name), null);
+});
+
+test('captures are served behind the credentials, and need the browser', async t => {
+    const site = await startSite((req, res) => res.end('<p>page</p>'));
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const name = saveArtifact(path.join(server.dataDir, 'artifacts'), 'screenshot', Buffer.from('png'));
+    const served = await server.api('GET', `/api/artifacts/${name}`);
+    assert.strictEqual(served.status, 200);
+    assert.strictEqual(served.headers.get('content-type'), 'image/png');
+    assert.strictEqual(served.headers.get('cache-control'), 'no-store');
+    assert.strictEqual((await fetch(`${server.baseUrl}/api/artifacts/${name}`)).status, 401);
+    assert.strictEqual((await server.api('GET', '/api/artifacts/missing.png')).status, 404);
+
+    const http = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'http', screenshot: true });
+    assert.strictEqual(http.status, 200);
+    assert.strictEqual(http.json.artifacts, undefined);
+    assert.ok(http.json.warnings.some(warning => warning.startsWith('No screenshot or PDF: the page was fetched over HTTP')));
+
+    assert.strictEqual((await server.api('POST', '/api/extract', { url: `${site.origin}/`, screenshot: 'yes' })).status, 400);
+});
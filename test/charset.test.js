@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeBody } = require('../lib/charset');
+
+// "café € ’ “ ” œ Œ – —" in windows-1252
+const WINDOWS_1252_BYTES = Buffer.from([
+    0x63, 0x61, 0x66, 0xE9, 0x20, 0x80, 0x20, 0x92, 0x20, 0x93, 0x20, 0x94, 0x20, 0x9C, 0x20, 0x8C, 0x20, 0x96, 0x20, 0x97
+]);
+const EXPECTED = 'café € ’ “ ” œ Œ – —';
+
+test('windows-1252 bytes 0x80-0x9F decode to their characters, whatever the label', () => {
+    for (const label of ['windows-1252', 'latin1', 'iso-8859-1', 'ISO-8859-1', 'cp1252', 'us-ascii']) {
+        const decoded = decodeBody(WINDOWS_1252_BYTES, `text/html; charset=${label}`);
+        assert.strictEqual(decoded.text, EXPECTED, label);
+        assert.strictEqual(decoded.encoding, 'windows-1252');
+        assert.strictEqual(decoded.source, 'header');
+    }
+});
+
+test('a <meta charset> of latin1 is honored', () => {
+    const html = Buffer.concat([Buffer.from('<meta charset="iso-8859-1"><p>'), WINDOWS_1252_BYTES]);
+    const decoded = decodeBody(html, 'text/html');
+    assert.strictEqual(decoded.source, 'meta');
+    assert.ok(decoded.text.endsWith(EXPECTED));
+});
+
+test('UTF-8 is the default', () => {
+    const decoded = decodeBody(Buffer.from(EXPECTED), 'text/html');
+    assert.strictEqual(decoded.text, EXPECTED);
+    assert.strictEqual(decoded.encoding, 'utf-8');
+});
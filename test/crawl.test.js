@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { crawl } = require('../lib/crawl');
+
+const OPTIONS = { maxDepth: 3, maxPages: 20, concurrency: 2 };
+
+// visit() over a fake site: { url: { finalUrl, links } }
+function fakeSite(site) {
+    return async url => {
+        const page = site[url];
+        if (!page) throw new Error(`HTTP 404: ${url}`);
+        return { result: { success: true, finalUrl: page.finalUrl || url }, links: page.links };
+    };
+}
+
+test('a seed redirecting to another origin crawls the site it lands on', async () => {
+    const visit = fakeSite({
+        'http://example.com/': {
+            finalUrl: 'https://www.example.com/',
+            links: ['https://www.example.com/a', 'https://www.example.com/b', 'https://other.example/x']
+        },
+        'https://www.example.com/a': { links: ['https://www.example.com/b', 'https://www.example.com/'] },
+        'https://www.example.com/b': { links: [] }
+    });
+
+    const { pages } = await crawl('http://example.com/', OPTIONS, visit);
+    assert.deepStrictEqual(pages.map(page => page.url), [
+        'http://example.com/',
+        'https://www.example.com/a',
+        'https://www.example.com/b'
+    ]);
+});
+
+test('a page past the seed redirecting off-site does not widen the crawl', async () => {
+    const visit = fakeSite({
+        'https://example.com/': { links: ['https://example.com/out'] },
+        'https://example.com/out': { finalUrl: 'https://tracker.example/', links: ['https://tracker.example/more'] }
+    });
+
+    const { pages } = await crawl('https://example.com/', OPTIONS, visit);
+    assert.deepStrictEqual(pages.map(page => page.url), ['https://example.com/', 'https://example.com/out']);
+});
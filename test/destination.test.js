@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkLiteralUrl, createPolicy, guardedLookup } = require('../lib/destination');
+const { startServer, startSite } = require('./support/server');
+
+const lookup = (policy, hostname) => new Promise((resolve, reject) => {
+    guardedLookup(policy)(hostname, { all: true }, (error, addresses) => (error ? reject(error) : resolve(addresses)));
+});
+
+test('address literals in blocked ranges are refused', () => {
+    const policy = createPolicy();
+    const blocked = {
+        'http://127.0.0.1/': 'loopback',
+        'http://[::1]/': 'loopback',
+        'http://169.254.169.254/latest/meta-data/': 'link-local',
+        'http://10.1.2.3/': 'private',
+        'http://[fd00::1]/': 'private',
+        'http://100.64.0.1/': 'shared',
+        'http://0.0.0.0/': 'unspecified',
+        'http://224.0.0.1/': 'multicast',
+        'http://[::ffff:127.0.0.1]/': 'loopback',
+        'http://[64:ff9b::a9fe:a9fe]/': 'link-local'
+    };
+
+    for (const [url, kind] of Object.entries(blocked)) {
+        assert.throws(() => checkLiteralUrl(policy, url), error => {
+            assert.strictEqual(error.statusCode, 403);
+            assert.match(error.message, new RegExp(`is a ${kind} address$`));
+            return true;
+        }, url);
+    }
+
+    checkLiteralUrl(policy, 'http://93.184.216.34/');
+    checkLiteralUrl(policy, 'https://example.com/');
+});
+
+test('the allow-list exempts hosts, suffixes and ranges', () => {
+    const policy = createPolicy(['intranet.test', '*.corp.test', '10.1.0.0/16', '::1']);
+    assert.ok(policy.allowsHost('intranet.test'));
+    assert.ok(policy.allowsHost('wiki.corp.test'));
+    assert.ok(!policy.allowsHost('corp.test.evil'));
+
+    checkLiteralUrl(policy, 'http://10.1.200.3/');
+    checkLiteralUrl(policy, 'http://[::1]/');
+    assert.throws(() => checkLiteralUrl(policy, 'http://10.2.0.1/'), { statusCode: 403 });
+});
+
+test('names resolving to blocked addresses are refused at lookup', async () => {
+    await assert.rejects(lookup(createPolicy(), 'localhost'), { code: 'EDESTINATION', statusCode: 403 });
+    assert.ok((await lookup(createPolicy(['localhost']), 'localhost')).length > 0);
+});
+
+test('extractions refuse blocked destinations, redirects included', async t => {
+    const site = await startSite((req, res) => {
+        res.statusCode = 302;
+        res.setHeader('location', 'http://169.254.169.254/latest/meta-data/');
+        res.end();
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const direct = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'http' });
+    assert.strictEqual(direct.status, 403);
+    assert.match(direct.json.error, /127\.0\.0\.1 is a loopback address/);
+
+    const allowed = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(() => allowed.stop());
+    const redirected = await allowed.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'http' });
+    assert.strictEqual(redirected.status, 403);
+    assert.match(redirected.json.error, /169\.254\.169\.254 is a link-local address/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { startServer, startSite } = require('./support/server');
+
+// No browser is installed there: every engine fails, in the order it was tried
+const NO_BROWSERS = path.join(os.tmpdir(), 'no-browsers');
+
+// Engines named by the rendering failure, in order
+function triedEngines(error) {
+    return [...error.matchAll(/(Chromium|Firefox): /g)].map(match => match[1]);
+}
+
+test('a page is rendered in the preferred engine, then retried in the other one', async t => {
+    const site = await startSite((req, res) => res.end('<p>page</p>'));
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1', PLAYWRIGHT_BROWSERS_PATH: NO_BROWSERS, BROWSER_ENGINE: 'firefox' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const extract = async options => {
+        const response = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'browser', ...options });
+        assert.match(response.json.error, /^Rendering failed in every browser/);
+        return triedEngines(response.json.error);
+    };
+
+    // BROWSER_ENGINE, unless the request picks its engine; PDFs need Chromium first
+    assert.deepStrictEqual(await extract({}), ['Firefox', 'Chromium']);
+    assert.deepStrictEqual(await extract({ engine: 'chromium' }), ['Chromium', 'Firefox']);
+    assert.deepStrictEqual(await extract({ pdf: true }), ['Chromium', 'Firefox']);
+
+    assert.strictEqual((await server.api('POST', '/api/extract', { url: `${site.origin}/`, engine: 'webkit' })).status, 400);
+});
+
+test('the retry is streamed as a rendering stage with the previous error', async t => {
+    const site = await startSite((req, res) => res.end('<p>page</p>'));
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1', PLAYWRIGHT_BROWSERS_PATH: NO_BROWSERS });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const { text } = await server.api('POST', '/api/extract/stream', { url: `${site.origin}/`, strategy: 'browser', engine: 'chromium' });
+    const stages = [...text.matchAll(/^event: stage\ndata: (.*)$/gm)].map(match => JSON.parse(match[1]));
+    const rendering = stages.filter(stage => stage.stage === 'rendering');
+
+    assert.deepStrictEqual(rendering.map(stage => stage.engine), ['chromium', 'firefox']);
+    assert.strictEqual(rendering[0].previousError, undefined);
+    assert.match(rendering[1].previousError, /^Chromium: /);
+});
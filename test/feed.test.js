@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readFeed } = require('../lib/feed');
+const { startServer, startSite } = require('./support/server');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/"><channel>
+<title>News</title><link>https://example.com/</link><description>Latest news</description>
+<atom:link xmlns:atom="http://www.w3.org/2005/Atom" href="https://example.com/feed.xml" rel="self"/>
+<item><title>First</title><link>/posts/1</link><pubDate>Mon, 05 Oct 2026 10:00:00 GMT</pubDate>
+<dc:creator>Ada</dc:creator><description>&lt;p&gt;An &lt;b&gt;escaped&lt;/b&gt; summary&lt;/p&gt;</description></item>
+<item><title>Second</title><guid>https://example.com/posts/2</guid></item>
+</channel></rss>`;
+
+const ATOM = `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom"><title>Blog</title><subtitle>Notes</subtitle>
+<link rel="self" href="/atom.xml"/><link href="https://blog.example.com/"/>
+<updated>2026-10-06T08:00:00Z</updated>
+<entry><title>Entry</title><link rel="alternate" href="https://blog.example.com/entry"/>
+<updated>2026-10-06T08:00:00Z</updated><author><name>Grace</name></author><summary>Short summary</summary></entry>
+</feed>`;
+
+test('RSS items are read with absolute links, ISO dates and plain text summaries', () => {
+    const feed = readFeed(RSS, 'https://example.com/feed.xml');
+    assert.strictEqual(feed.type, 'rss');
+    assert.strictEqual(feed.title, 'News');
+    assert.strictEqual(feed.link, 'https://example.com/');
+    assert.deepStrictEqual(feed.items[0], {
+        title: 'First',
+        link: 'https://example.com/posts/1',
+        published: '2026-10-05T10:00:00.000Z',
+        updated: '',
+        author: 'Ada',
+        summary: 'An escaped summary'
+    });
+    // A permalink guid stands for a missing link
+    assert.strictEqual(feed.items[1].link, 'https://example.com/posts/2');
+});
+
+test('Atom entries are read, the alternate link preferred', () => {
+    const feed = readFeed(ATOM, 'https://blog.example.com/atom.xml');
+    assert.strictEqual(feed.type, 'atom');
+    assert.strictEqual(feed.link, 'https://blog.example.com/');
+    assert.strictEqual(feed.description, 'Notes');
+    assert.deepStrictEqual(feed.items, [{
+        title: 'Entry',
+        link: 'https://blog.example.com/entry',
+        published: '2026-10-06T08:00:00.000Z',
+        updated: '2026-10-06T08:00:00.000Z',
+        author: 'Grace',
+        summary: 'Short summary'
+    }]);
+});
+
+test('documents that are not feeds are recognized', () => {
+    assert.strictEqual(readFeed('<html><body>page</body></html>', 'https://example.com/'), null);
+    assert.strictEqual(readFeed('<urlset><url/></urlset>', 'https://example.com/'), null);
+});
+
+test('/api/feed lists the items and refuses what is not a feed', async t => {
+    const site = await startSite((req, res) => {
+        res.setHeader('content-type', req.url === '/feed.xml' ? 'application/rss+xml' : 'text/html');
+        res.end(req.url === '/feed.xml' ? RSS : '<p>not a feed</p>');
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const listed = await server.api('POST', '/api/feed', { url: `${site.origin}/feed.xml`, limit: 1 });
+    assert.strictEqual(listed.status, 200);
+    assert.strictEqual(listed.json.feed.itemCount, 2);
+    assert.deepStrictEqual(listed.json.items.map(item => item.title), ['First']);
+    assert.match(listed.json.content, /First/);
+    assert.doesNotMatch(listed.json.content, /Second/);
+
+    const page = await server.api('POST', '/api/feed', { url: `${site.origin}/page` });
+    assert.strictEqual(page.status, 422);
+});
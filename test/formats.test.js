@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractResource } = require('../lib/extractors');
+
+const PAGE = `<html><head><title>Doc</title><meta name="description" content="Desc"></head><body>
+<h1>Heading</h1>
+<p onclick="steal()">Some <strong>bold</strong> and a <a href="/link">link</a>.</p>
+<script>alert(1)</script>
+</body></html>`;
+
+function extract(format) {
+    return extractResource({ body: Buffer.from(PAGE), contentType: 'text/html' }, 'https://example.com/page', { format, mode: 'full' });
+}
+
+test('text output starts with the title, description and URL header', async () => {
+    const { content } = await extract('text');
+    assert.ok(content.startsWith('TITLE: Doc\n\nDESCRIPTION: Desc\n\nURL: https://example.com/page\n\n---CONTENT---\n\n'));
+    assert.match(content, /Some bold and a link \[https:\/\/example\.com\/link\]\./);
+    assert.doesNotMatch(content, /alert/);
+});
+
+test('markdown output keeps emphasis and absolute links', async () => {
+    const { content } = await extract('markdown');
+    assert.ok(content.startsWith('# Doc\n\n> Desc\n\nSource: <https://example.com/page>'));
+    assert.match(content, /^# Heading$/m);
+    assert.match(content, /Some \*\*bold\*\* and a \[link\]\(https:\/\/example\.com\/link\)\./);
+});
+
+test('json output is the document tree', async () => {
+    const document = JSON.parse((await extract('json')).content);
+    assert.strictEqual(document.title, 'Doc');
+    assert.strictEqual(document.url, 'https://example.com/page');
+    assert.ok(Array.isArray(document.blocks));
+    assert.match(JSON.stringify(document.blocks), /Heading/);
+});
+
+test('html output is sanitized', async () => {
+    const { content } = await extract('html');
+    assert.match(content, /<p>Some <strong>bold<\/strong> and a <a href="https:\/\/example\.com\/link">link<\/a>\.<\/p>/);
+    assert.doesNotMatch(content, /<script|onclick|alert/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractResource } = require('../lib/extractors');
+const { shellReason } = require('../lib/app-shell');
+
+function htmlResource(html) {
+    return { body: Buffer.from(html), contentType: 'text/html' };
+}
+
+test('deeply nested inline elements are extracted without overflowing the stack', async () => {
+    const pages = [
+        `<p>${'<font>x'.repeat(1500)}end</p>`,
+        `<div>${'<span>'.repeat(3000)}deep <b>text</b>${'</span>'.repeat(3000)}</div>`
+    ];
+
+    for (const html of pages) {
+        for (const format of ['text', 'markdown', 'html', 'json']) {
+            const result = await extractResource(htmlResource(html), 'https://example.com/', { format, mode: 'full' });
+            assert.ok(result.content.length > 0);
+        }
+        assert.strictEqual(shellReason(html), null);
+    }
+});
+
+test('content past the depth limit is kept, flattened', async () => {
+    const html = `${'<div>'.repeat(20000)}<p>para</p><img src="a.png" alt="pic">`;
+
+    const result = await extractResource(htmlResource(html), 'https://example.com/', { format: 'text', mode: 'main' });
+    assert.match(result.content, /para\n\n\[IMAGE: pic\]$/);
+});
+
+test('deeply nested XML is outlined', async () => {
+    const xml = `<?xml version="1.0"?>${'<a>'.repeat(5000)}leaf${'</a>'.repeat(5000)}`;
+
+    const result = await extractResource({ body: Buffer.from(xml), contentType: 'application/xml' }, 'https://example.com/d.xml', { format: 'markdown' });
+    assert.match(result.content, /leaf/);
+});
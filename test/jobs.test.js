@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, startSite } = require('./support/server');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a job deleted while it runs is not written back', async t => {
+    // robots.txt answers late: the job is cancelled and deleted before it goes on fetching
+    const site = await startSite((req, res) => {
+        if (req.url === '/robots.txt') {
+            setTimeout(() => res.end('User-agent: *\nAllow: /\n'), 1000);
+        } else {
+            res.setHeader('content-type', 'text/html');
+            res.end('<p>page</p>');
+        }
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const created = await server.api('POST', '/api/jobs', { url: `${site.origin}/page`, respectRobots: true });
+    assert.strictEqual(created.status, 202);
+    const { id } = created.json;
+
+    assert.strictEqual((await server.api('DELETE', `/api/jobs/${id}`)).json.state, 'cancelled');
+    assert.strictEqual((await server.api('DELETE', `/api/jobs/${id}`)).json.deleted, true);
+
+    // robots.txt, then the delayed progress save
+    await delay(2500);
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'jobs', `${id}.json`)), false);
+    assert.strictEqual((await server.api('GET', `/api/jobs/${id}`)).status, 404);
+});
+
+test('a job runs in the background and keeps its results', async t => {
+    const site = await startSite((req, res) => {
+        res.setHeader('content-type', 'text/html');
+        res.end(`<title>${req.url}</title><p>content of ${req.url}</p>`);
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const created = await server.api('POST', '/api/jobs', { urls: [`${site.origin}/a`, `${site.origin}/b`], format: 'markdown' });
+    let job;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        job = (await server.api('GET', `/api/jobs/${created.json.id}`)).json;
+        if (job.state === 'done') break;
+        await delay(100);
+    }
+
+    assert.strictEqual(job.state, 'done');
+    assert.deepStrictEqual(job.items.map(item => item.success), [true, true]);
+    assert.match(job.items[1].content, /content of \/b/);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { startServer, startSite } = require('./support/server');
+
+test('responses past maxBytes are refused with 413, once decompressed too', async t => {
+    const big = `<title>Big</title><p>${'x'.repeat(200000)}</p>`;
+    const site = await startSite((req, res) => {
+        res.setHeader('content-type', 'text/html');
+        if (req.url === '/gzip') {
+            res.setHeader('content-encoding', 'gzip');
+            res.end(zlib.gzipSync(big));
+        } else {
+            res.end(big);
+        }
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    for (const path of ['/plain', '/gzip']) {
+        const refused = await server.api('POST', '/api/extract', { url: `${site.origin}${path}`, strategy: 'http', maxBytes: 100000 });
+        assert.strictEqual(refused.status, 413, path);
+        assert.match(refused.json.error, /Response too large: more than 100000 bytes/);
+    }
+
+    const accepted = await server.api('POST', '/api/extract', { url: `${site.origin}/gzip`, strategy: 'http', maxBytes: 300000 });
+    assert.strictEqual(accepted.status, 200);
+});
+
+test('timeoutMs bounds the HTTP request', async t => {
+    const site = await startSite((req, res) => {
+        setTimeout(() => res.end('<p>late</p>'), 3000);
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const started = Date.now();
+    const response = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'http', timeoutMs: 500 });
+    assert.notStrictEqual(response.status, 200);
+    assert.match(response.json.error, /Request timeout \(500 ms\)/);
+    assert.ok(Date.now() - started < 2500);
+});
+
+test('limits are validated and reported', async t => {
+    const server = await startServer({ MAX_RESPONSE_BYTES: '1000000', HTTP_TIMEOUT_MS: '5000' });
+    t.after(() => server.stop());
+
+    const limits = await server.api('GET', '/api/limits');
+    assert.strictEqual(limits.json.maxBytes, 1000000);
+    assert.strictEqual(limits.json.timeoutMs.http, 5000);
+
+    for (const invalid of [{ maxBytes: -1 }, { maxBytes: 'big' }, { timeoutMs: 0 }, { timeoutMs: 1.5 }]) {
+        const response = await server.api('POST', '/api/extract', { url: 'https://example.com/', ...invalid });
+        assert.strictEqual(response.status, 400, JSON.stringify(invalid));
+    }
+});
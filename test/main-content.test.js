@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractResource } = require('../lib/extractors');
+
+function extract(html, mode) {
+    return extractResource({ body: Buffer.from(html), contentType: 'text/html' }, 'https://example.com/', { format: 'markdown', mode });
+}
+
+const STORY = '<h2>Story</h2><p>The first paragraph of the story is long enough to count as prose, with commas, full stops and words.</p>' +
+    '<p>The second paragraph goes on, describing more events at length, so the block clearly holds the text.</p>';
+
+test('main mode keeps the <main> element without navigation, banners, sidebars and footer', async () => {
+    const html = `<nav><a href="/">Home</a></nav><div class="cookie-banner">We use cookies</div>
+        <main><article>${STORY}</article></main><aside>Related articles</aside><footer>Copyright footer</footer>`;
+
+    const full = (await extract(html, 'full')).content;
+    const main = (await extract(html, 'main')).content;
+    for (const boilerplate of ['Home', 'We use cookies', 'Related articles', 'Copyright footer']) {
+        assert.ok(full.includes(boilerplate), boilerplate);
+        assert.ok(!main.includes(boilerplate), boilerplate);
+    }
+    assert.match(main, /## Story\n\nThe first paragraph[^\n]+\n\nThe second paragraph/);
+});
+
+test('main mode finds the prose block of a page without semantic elements', async () => {
+    const html = `<div class="header"><ul class="menu"><li><a href="/">Home</a></li><li><a href="/x">Products</a></li></ul></div>
+        <div id="cookie-consent">Accept cookies</div>
+        <div class="layout"><div class="sidebar"><a href="/1">Link one</a> <a href="/2">Link two</a></div>
+        <div class="post-content">${STORY}<div class="share-buttons">Share on X</div></div>
+        <div class="related-posts"><a href="/r1">Related one</a></div></div>
+        <div class="footer">Copyright</div>`;
+
+    const { content } = await extract(html, 'main');
+    assert.match(content, /## Story/);
+    for (const boilerplate of ['Products', 'Accept cookies', 'Link one', 'Share on X', 'Related one', 'Copyright']) {
+        assert.ok(!content.includes(boilerplate), boilerplate);
+    }
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDocument } = require('htmlparser2');
+const { extractMetadata } = require('../lib/metadata');
+
+test('meta names matching Object.prototype properties are kept as plain values', () => {
+    const dom = parseDocument(`<head>
+        <meta name="constructor" content="x">
+        <meta name="__proto__" content="polluted">
+        <meta name="toString" content="y">
+        <meta property="og:__proto__" content="og">
+        <meta name="description" content="desc">
+    </head>`);
+
+    const metadata = extractMetadata(dom, 'https://example.com/');
+    const meta = JSON.parse(JSON.stringify(metadata.meta));
+
+    assert.strictEqual(meta.constructor, 'x');
+    assert.strictEqual(meta.tostring, 'y');
+    assert.strictEqual(Object.getOwnPropertyDescriptor(meta, '__proto__').value, 'polluted');
+    assert.strictEqual(Object.getPrototypeOf(metadata.meta), null);
+    assert.strictEqual(Object.getOwnPropertyDescriptor(metadata.openGraph, '__proto__').value, 'og');
+    assert.strictEqual(metadata.description, 'desc');
+    assert.strictEqual({}.polluted, undefined);
+});
+
+test('repeated meta names become a list of their distinct values', () => {
+    const dom = parseDocument('<meta name="author" content="A"><meta name="author" content="B"><meta name="author" content="A">');
+    assert.deepStrictEqual(extractMetadata(dom, 'https://example.com/').meta.author, ['A', 'B']);
+});
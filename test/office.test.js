@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx, extractOdt } = require('../lib/extractors/office');
+const { render } = require('../lib/renderers');
+
+// ZIP archive of stored (uncompressed) entries: { name: content }
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name);
+        const data = Buffer.from(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function docxListItem(text, level) {
+    return `<w:p><w:pPr><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+}
+
+function listDepth(block) {
+    let depth = 0;
+    for (let list = block; list && list.type === 'list'; depth++) {
+        const item = list.items[list.items.length - 1];
+        list = item.blocks.find(child => child.type === 'list');
+    }
+    return depth;
+}
+
+test('a hostile DOCX list level is clamped to level 8', () => {
+    for (const level of [300000, 2147483647, -5]) {
+        const docx = zip({
+            'word/document.xml': `<w:document xmlns:w="w"><w:body>${docxListItem('first', 0)}${docxListItem('hostile', level)}</w:body></w:document>`
+        });
+
+        const document = extractDocx(docx, 'https://example.com/list.docx');
+        assert.ok(listDepth(document.blocks[0]) <= 9, `ilvl=${level}`);
+        assert.match(render(document, 'markdown'), /hostile/);
+    }
+});
+
+test('ODT lists nested deeper than 8 levels stay at level 8', () => {
+    const depth = 5000;
+    const content = `<office:document-content><office:body><office:text>${'<text:list><text:list-item>'.repeat(depth)}<text:p>deep</text:p>${'</text:list-item></text:list>'.repeat(depth)}</office:text></office:body></office:document-content>`;
+
+    const document = extractOdt(zip({ 'content.xml': content }), 'https://example.com/list.odt');
+    assert.ok(listDepth(document.blocks[0]) <= 9);
+    assert.match(render(document, 'text'), /deep/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, startSite } = require('./support/server');
+
+const PAGE = '<html><head><title>Page</title></head><body><div id="keep">kept text</div><div>dropped text</div></body></html>';
+
+test('crawl, sitemap and feed reject mistyped boolean options', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    for (const endpoint of ['/api/extract', '/api/crawl', '/api/sitemap', '/api/feed']) {
+        for (const option of ['tables', 'metadataHeader', 'noCache', 'respectRobots']) {
+            const response = await server.api('POST', endpoint, { url: 'https://example.com/', [option]: 'false' });
+            assert.strictEqual(response.status, 400, `${endpoint} ${option}`);
+            assert.strictEqual(response.json.error, `${option} must be a boolean`);
+        }
+    }
+});
+
+test('crawl, sitemap and feed apply every extraction option', async t => {
+    const site = await startSite((req, res) => {
+        const origin = `http://${req.headers.host}`;
+        if (req.url === '/sitemap.xml') {
+            res.setHeader('content-type', 'application/xml');
+            res.end(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>${origin}/page</loc></url></urlset>`);
+        } else if (req.url === '/feed.xml') {
+            res.setHeader('content-type', 'application/rss+xml');
+            res.end(`<rss version="2.0"><channel><title>Feed</title><item><title>Item</title><link>${origin}/page</link></item></channel></rss>`);
+        } else {
+            res.setHeader('content-type', 'text/html');
+            res.end(PAGE);
+        }
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const options = { includeSelectors: ['#keep'], strategy: 'http' };
+
+    const crawled = await server.api('POST', '/api/crawl', { url: `${site.origin}/page`, maxDepth: 0, ...options });
+    assert.strictEqual(crawled.status, 200);
+    assert.match(crawled.json.pages[0].content, /kept text/);
+    assert.doesNotMatch(crawled.json.pages[0].content, /dropped text/);
+
+    const mapped = await server.api('POST', '/api/sitemap', { url: `${site.origin}/sitemap.xml`, ...options });
+    assert.strictEqual(mapped.status, 200);
+    assert.match(mapped.json.results[0].content, /kept text/);
+    assert.doesNotMatch(mapped.json.results[0].content, /dropped text/);
+
+    const fed = await server.api('POST', '/api/feed', { url: `${site.origin}/feed.xml`, extractItems: true, ...options });
+    assert.strictEqual(fed.status, 200);
+    assert.match(fed.json.content, /kept text/);
+    assert.doesNotMatch(fed.json.content, /dropped text/);
+});
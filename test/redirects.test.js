@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, startSite } = require('./support/server');
+
+// A site redirecting /hop/n to /hop/n+1, endlessly
+function redirectLoop() {
+    return startSite((req, res) => {
+        const hop = parseInt(req.url.split('/').pop(), 10) || 0;
+        res.statusCode = 302;
+        res.setHeader('location', `/hop/${hop + 1}`);
+        res.end();
+    });
+}
+
+for (const value of ['abc', '-1']) {
+    test(`MAX_REDIRECTS=${value} falls back to 10 redirects`, async t => {
+        const site = await redirectLoop();
+        const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1', MAX_REDIRECTS: value });
+        t.after(async () => {
+            await server.stop();
+            await site.close();
+        });
+
+        const response = await server.api('POST', '/api/extract', { url: `${site.origin}/hop/0`, strategy: 'http' });
+        assert.strictEqual(response.status, 502);
+        assert.match(response.json.error, /Too many redirects \(more than 10\)/);
+    });
+}
+
+test('redirects are reported, bounded by maxRedirects and loops refused', async t => {
+    const site = await startSite((req, res) => {
+        const target = { '/old': '/moved', '/moved': '/page', '/loop-a': '/loop-b', '/loop-b': '/loop-a' }[req.url];
+        if (target) {
+            res.statusCode = req.url === '/old' ? 301 : 302;
+            res.setHeader('location', target);
+            res.end();
+            return;
+        }
+        res.setHeader('content-type', 'text/html');
+        res.end('<title>Page</title><p><a href="next">next</a></p>');
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const followed = await server.api('POST', '/api/extract', { url: `${site.origin}/old`, strategy: 'http', format: 'markdown' });
+    assert.strictEqual(followed.status, 200);
+    assert.strictEqual(followed.json.finalUrl, `${site.origin}/page`);
+    assert.deepStrictEqual(followed.json.redirectChain, [
+        { url: `${site.origin}/old`, status: 301 },
+        { url: `${site.origin}/moved`, status: 302 }
+    ]);
+    // Links resolve against the final URL
+    assert.match(followed.json.content, new RegExp(`\\(${site.origin}/next\\)`));
+
+    const bounded = await server.api('POST', '/api/extract', { url: `${site.origin}/old`, strategy: 'http', maxRedirects: 1 });
+    assert.strictEqual(bounded.status, 502);
+    assert.match(bounded.json.error, /Too many redirects \(more than 1\)/);
+
+    const looped = await server.api('POST', '/api/extract', { url: `${site.origin}/loop-a`, strategy: 'http' });
+    assert.strictEqual(looped.status, 502);
+    assert.match(looped.json.error, /Redirect loop/);
+});
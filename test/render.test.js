@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderOptionsError, renderPage } = require('../lib/render');
+
+// A Playwright page over a fake document: scrolling grows it up to finalHeight,
+// and each click selector stays visible for its number of clicks
+function fakePage({ selectors = [], finalHeight = 0, clickable = {} } = {}) {
+    let scrollY = 0;
+    let height = 1000;
+    const clicked = {};
+
+    return {
+        clicked,
+        waitForTimeout: async () => {},
+        waitForSelector: async selector => {
+            if (!selectors.includes(selector)) throw new Error('Timeout');
+        },
+        evaluate: async () => {
+            scrollY += 500;
+            height = Math.min(Math.max(height, scrollY + 1500), Math.max(finalHeight, 1000));
+            return { bottom: Math.min(scrollY + 500, height), height };
+        },
+        locator: selector => ({
+            first: () => ({
+                isVisible: async () => (clicked[selector] || 0) < (clickable[selector] || 0),
+                click: async () => {
+                    clicked[selector] = (clicked[selector] || 0) + 1;
+                }
+            })
+        })
+    };
+}
+
+test('render options are validated', () => {
+    assert.strictEqual(renderOptionsError(undefined), null);
+    assert.strictEqual(renderOptionsError({ waitUntil: 'networkidle', autoScroll: true, clickSelectors: ['.more'], blockResources: ['image'] }), null);
+
+    assert.strictEqual(renderOptionsError([]), 'render must be an object');
+    assert.match(renderOptionsError({ waitUntil: 'idle' }), /Unsupported render.waitUntil: idle/);
+    assert.strictEqual(renderOptionsError({ waitForSelector: ' ' }), 'render.waitForSelector must be a CSS selector');
+    assert.strictEqual(renderOptionsError({ autoScroll: 'yes' }), 'render.autoScroll must be a boolean');
+    assert.strictEqual(renderOptionsError({ scrollMaxHeight: -5 }), 'render.scrollMaxHeight must be a positive integer');
+    assert.strictEqual(renderOptionsError({ clickSelectors: '.more' }), 'render.clickSelectors must be a list of CSS selectors');
+    assert.match(renderOptionsError({ blockResources: ['script'] }), /render.blockResources must list resource types/);
+});
+
+test('a selector that never shows up is reported as a warning', async () => {
+    assert.deepStrictEqual(await renderPage(fakePage({ selectors: ['#app'] }), { waitForSelector: '#app' }, 1000), []);
+    assert.deepStrictEqual(await renderPage(fakePage(), { waitForSelector: '#app' }, 1000), [
+        'render.waitForSelector "#app" not found within 1000 ms'
+    ]);
+});
+
+test('auto-scroll runs until the page stops growing, within its height limit', async () => {
+    assert.deepStrictEqual(await renderPage(fakePage({ finalHeight: 5000 }), { autoScroll: true }), []);
+    assert.deepStrictEqual(await renderPage(fakePage({ finalHeight: 100000 }), { autoScroll: true, scrollMaxHeight: 8000 }), [
+        'render.autoScroll stopped at the height limit (8000 px)'
+    ]);
+});
+
+test('click selectors are clicked while visible, at most maxClicks times', async () => {
+    const page = fakePage({ clickable: { '.more': 3, '.expand': 10 } });
+    assert.deepStrictEqual(await renderPage(page, { clickSelectors: ['.more', '.expand'], maxClicks: 5 }), []);
+    assert.deepStrictEqual(page.clicked, { '.more': 3, '.expand': 2 });
+
+    assert.deepStrictEqual(await renderPage(fakePage(), { clickSelectors: ['.more'] }), [
+        'render.clickSelectors matched no visible element'
+    ]);
+});
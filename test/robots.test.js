@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkRobots, waitForCrawlDelay } = require('../lib/robots');
+
+test('a Crawl-delay wait past maxWaitMs is refused with 429', async () => {
+    const url = 'https://slow.example.com/page';
+    await waitForCrawlDelay(url, 30);
+
+    await assert.rejects(waitForCrawlDelay(url, 30, { maxWaitMs: 1000 }), error => error.statusCode === 429);
+});
+
+test('a Crawl-delay wait ends when its signal aborts', async () => {
+    const url = 'https://aborted.example.com/page';
+    await waitForCrawlDelay(url, 30);
+
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(waitForCrawlDelay(url, 30, { signal: controller.signal }), { name: 'AbortError' });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('rules match with `*` and `$` wildcards, the longest one winning', async () => {
+    const robots = [
+        'User-agent: *',
+        'Disallow: /private',
+        'Allow: /private/*.html$',
+        'Disallow: /*.pdf$',
+        'Disallow: /search*q='
+    ].join('\n');
+    const fetchText = async () => robots;
+    const allowed = async path => (await checkRobots(`https://wildcards.example.com${path}`, 'bot', fetchText)).allowed;
+
+    assert.strictEqual(await allowed('/private/notes'), false);
+    assert.strictEqual(await allowed('/private/page.html'), true);
+    assert.strictEqual(await allowed('/private/page.html?print=1'), false);
+    assert.strictEqual(await allowed('/files/report.pdf'), false);
+    assert.strictEqual(await allowed('/files/report.pdf.txt'), true);
+    assert.strictEqual(await allowed('/search/all?q=robots'), false);
+    assert.strictEqual(await allowed('/search'), true);
+});
+
+test('a rule with many wildcards is matched without backtracking', async () => {
+    const robots = `User-agent: *\nDisallow: /${'a*'.repeat(40)}b\n`;
+    const fetchText = async () => robots;
+
+    const started = Date.now();
+    const verdict = await checkRobots(`https://hostile.example.com/${'a'.repeat(2000)}`, 'bot', fetchText);
+    assert.strictEqual(verdict.allowed, true);
+    assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDocument } = require('htmlparser2');
+const { selectAll, selectorsError } = require('../lib/selectors');
+const { extractResource } = require('../lib/extractors');
+
+test('empty selector lists are refused', () => {
+    assert.match(selectorsError('includeSelectors', []), /includeSelectors must list at least one selector/);
+    assert.match(selectorsError('excludeSelectors', []), /excludeSelectors must list at least one selector/);
+    assert.strictEqual(selectorsError('includeSelectors', undefined), null);
+});
+
+test('selectors whose matching could backtrack are refused', () => {
+    const refused = [
+        'p ~ p',
+        'div:has(p)',
+        'li:nth-child(2)',
+        'a b c d e f g h i',
+        ':not(a b c) :not(d e f) g',
+        `div${'.a'.repeat(200)}`
+    ];
+    for (const selector of refused) {
+        assert.ok(selectorsError('excludeSelectors', [selector]), selector);
+    }
+    assert.strictEqual(selectorsError('includeSelectors', ['article > .post:not(.ad) + p', 'main h1, [role="main" i]']), null);
+});
+
+test('a long descendant selector on a deep page is matched in linear time', () => {
+    const dom = parseDocument(`${'<div><p>'.repeat(200)}${'</p></div>'.repeat(200)}`);
+    const started = Date.now();
+    assert.strictEqual(selectAll('div p div p div p div span', dom.children).length, 0);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('an empty include list keeps the page content', async () => {
+    const resource = { body: Buffer.from('<main><p>kept</p></main>'), contentType: 'text/html' };
+    const result = await extractResource(resource, 'https://example.com/', { format: 'text', mode: 'full', includeSelectors: [] });
+    assert.match(result.content, /kept/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { collectSitemapUrls, discoverSitemaps } = require('../lib/sitemap');
+
+const urlset = entries => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+    entries.map(([loc, lastmod]) => `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`).join('')
+}</urlset>`;
+
+// fetchText over a map of URL → body, failing like a 404 for the others
+function fakeFetch(documents, fetched = []) {
+    return async url => {
+        fetched.push(url);
+        if (!(url in documents)) {
+            const error = new Error('HTTP 404');
+            error.statusCode = 404;
+            throw error;
+        }
+        return documents[url];
+    };
+}
+
+test('sitemaps are discovered from robots.txt, else at /sitemap.xml', async () => {
+    const declared = await discoverSitemaps('https://example.com/page', fakeFetch({
+        'https://example.com/robots.txt': 'User-agent: *\nSitemap: /maps/a.xml\nsitemap: https://example.com/maps/b.xml\n'
+    }));
+    assert.deepStrictEqual(declared, {
+        sitemaps: ['https://example.com/maps/a.xml', 'https://example.com/maps/b.xml'],
+        source: 'robots.txt'
+    });
+
+    const fallback = await discoverSitemaps('https://example.com/', fakeFetch({}));
+    assert.deepStrictEqual(fallback, { sitemaps: ['https://example.com/sitemap.xml'], source: 'default' });
+});
+
+test('index files are followed and page URLs filtered by date and pattern', async () => {
+    const fetched = [];
+    const fetchText = fakeFetch({
+        'https://example.com/sitemap.xml': `<sitemapindex>
+            <sitemap><loc>https://example.com/new.xml</loc><lastmod>2026-10-01</lastmod></sitemap>
+            <sitemap><loc>https://example.com/old.xml</loc><lastmod>2020-01-01</lastmod></sitemap>
+            <sitemap><loc>https://example.com/gone.xml</loc></sitemap>
+        </sitemapindex>`,
+        'https://example.com/new.xml': urlset([
+            ['https://example.com/blog/one', '2026-10-02'],
+            ['https://example.com/blog/one', '2026-10-02'],
+            ['https://example.com/blog/two', '2025-01-01'],
+            ['https://example.com/blog/draft', '2026-10-03'],
+            ['https://example.com/shop/item', '2026-10-04'],
+            ['https://example.com/blog/undated']
+        ])
+    }, fetched);
+
+    const result = await collectSitemapUrls(['https://example.com/sitemap.xml'], fetchText, {
+        since: '2026-01-01',
+        include: '/blog/**',
+        exclude: '**/draft'
+    });
+
+    assert.deepStrictEqual(result.urls, [{ loc: 'https://example.com/blog/one', lastmod: '2026-10-02' }]);
+    assert.ok(!fetched.includes('https://example.com/old.xml'));
+    assert.deepStrictEqual(result.errors, [{ url: 'https://example.com/gone.xml', error: 'HTTP 404', status: 404 }]);
+    assert.strictEqual(result.truncated, false);
+});
+
+test('an invalid date is refused with 400', async () => {
+    await assert.rejects(collectSitemapUrls([], fakeFetch({}), { since: 'yesterday' }), { statusCode: 400, message: 'Invalid since date' });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { shellReason } = require('../lib/app-shell');
+const { startServer, startSite } = require('./support/server');
+
+const SHELL = '<html><head><title>App</title><script src="/app.js"></script></head><body><div id="root"></div></body></html>';
+
+test('empty app shells are recognized', () => {
+    assert.match(shellReason(SHELL), /^empty app mount point #root with 0 characters of visible text$/);
+    assert.match(shellReason('<body><div ng-app></div><p>Loading</p></body>'), /\[ng-app\]/);
+    assert.match(shellReason('<body><noscript>You need to enable JavaScript to run this app.</noscript></body>'), /<noscript> asks for JavaScript/);
+    assert.match(shellReason('<body><script src="a.js"></script><script src="b.js"></script><p>Hi</p></body>'), /2 scripts to run/);
+});
+
+test('pages with content are not shells', () => {
+    const prose = `<p>${'A real paragraph of server-rendered text. '.repeat(20)}</p>`;
+    assert.strictEqual(shellReason(`<body><div id="root">${prose}</div></body>`), null);
+    assert.strictEqual(shellReason(`<body>${prose}<noscript>Please enable JavaScript</noscript></body>`), null);
+    assert.strictEqual(shellReason('<body><p>Short page without scripts</p></body>'), null);
+});
+
+test('strategy auto tries the browser on an app shell, http keeps the page as is', async t => {
+    const site = await startSite((req, res) => {
+        res.setHeader('content-type', 'text/html');
+        res.end(SHELL);
+    });
+    // No browser installed there: rendering fails and the HTTP page is kept
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1', PLAYWRIGHT_BROWSERS_PATH: path.join(os.tmpdir(), 'no-browsers') });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const auto = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'auto' });
+    assert.strictEqual(auto.status, 200);
+    assert.strictEqual(auto.json.method, 'http');
+    assert.ok(auto.json.warnings.some(warning => /Looks like an unrendered app shell \(empty app mount point #root/.test(warning)));
+
+    const http = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'http' });
+    assert.strictEqual(http.status, 200);
+    assert.deepStrictEqual(http.json.warnings || [], []);
+
+    const invalid = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'fast' });
+    assert.strictEqual(invalid.status, 400);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, startSite } = require('./support/server');
+
+// Events of an event stream, in order: [{ event, data }] (comment lines as { comment })
+function readEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(message => {
+        if (message.startsWith(':')) return { comment: message.slice(1).trim() };
+        const event = message.match(/^event: (.*)$/m)[1];
+        return { event, data: JSON.parse(message.match(/^data: (.*)$/m)[1]) };
+    });
+}
+
+test('the extraction stream ends with done or error', async t => {
+    const site = await startSite((req, res) => {
+        res.statusCode = req.url === '/missing' ? 404 : 200;
+        res.setHeader('content-type', 'text/html');
+        res.end('<title>Page</title><p>streamed page</p>');
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const found = readEvents((await server.api('POST', '/api/extract/stream', { url: `${site.origin}/page`, strategy: 'http' })).text);
+    assert.strictEqual(found[0].event, 'stage');
+    assert.strictEqual(found.at(-1).event, 'done');
+    assert.match(found.at(-1).data.content, /streamed page/);
+
+    const missing = readEvents((await server.api('POST', '/api/extract/stream', { url: `${site.origin}/missing`, strategy: 'http' })).text);
+    assert.strictEqual(missing.at(-1).event, 'error');
+    assert.strictEqual(missing.at(-1).data.url, `${site.origin}/missing`);
+});
+
+test('a slow extraction keeps its stream alive with pings', async t => {
+    const site = await startSite((req, res) => {
+        res.setHeader('content-type', 'text/html');
+        setTimeout(() => res.end('<title>Slow</title><p>slow page</p>'), 16000);
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const events = readEvents((await server.api('POST', '/api/extract/stream', { url: `${site.origin}/slow`, strategy: 'http', timeoutMs: 30000 })).text);
+    assert.ok(events.some(event => event.comment === 'ping'));
+    assert.strictEqual(events.at(-1).event, 'done');
+});
@@ -0,0 +1,89 @@
+/**
+ * Test server
+ * Runs server.js in a child process on its own port and data directory, with
+ * API helpers authenticated as the default user.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AUTHORIZATION = `Basic ${Buffer.from('mpaka:fdhjfdh2025').toString('base64')}`;
+
+let nextPort = 41000 + Math.floor(Math.random() * 10000);
+
+// Start the server with extra environment variables
+// Resolves { baseUrl, dataDir, api(method, path, body), stop() }
+function startServer(env = {}) {
+    const port = nextPort++;
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mpaka-'));
+    const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const baseUrl = `http://localhost:${port}`;
+
+    const api = async (method, pathname, body) => {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: { authorization: AUTHORIZATION, 'content-type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // Not JSON (event streams, captures)
+        }
+        return { status: response.status, headers: response.headers, json, text };
+    };
+
+    const stop = () => new Promise(resolve => {
+        child.once('exit', () => {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+            resolve();
+        });
+        child.kill();
+    });
+
+    return new Promise((resolve, reject) => {
+        const onData = chunk => {
+            output += chunk;
+            if (output.includes('server running at')) {
+                child.stdout.off('data', onData);
+                child.stdout.resume();
+                resolve({ baseUrl, dataDir, api, stop });
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', chunk => {
+            output += chunk;
+        });
+        child.once('exit', code => reject(new Error(`Server exited (${code}):\n${output}`)));
+    });
+}
+
+// Start a local HTTP server for the extractions to fetch (allow it with
+// FETCH_ALLOWLIST=127.0.0.1). Resolves { origin, close() }
+function startSite(handler) {
+    const http = require('http');
+    const server = http.createServer(handler);
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            origin: `http://127.0.0.1:${server.address().port}`,
+            close: () => {
+                server.closeAllConnections();
+                return new Promise(done => server.close(done));
+            }
+        }));
+    });
+}
+
+module.exports = {
+    startServer,
+    startSite
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractResource } = require('../lib/extractors');
+const { extractTables } = require('../lib/tables');
+const { startServer, startSite } = require('./support/server');
+
+async function extract(html, format = 'markdown') {
+    return extractResource({ body: Buffer.from(html), contentType: 'text/html' }, 'https://example.com/', { format, mode: 'full' });
+}
+
+const PRICES = `<table><caption>Prices</caption>
+<thead><tr><th>Item</th><th>Price</th></tr></thead>
+<tbody><tr><td>Tea, green</td><td>3 | 4</td></tr><tr><td>"Coffee"</td><td>5</td></tr></tbody>
+</table>`;
+
+test('tables render as Markdown pipe tables', async () => {
+    const { content } = await extract(PRICES);
+    assert.ok(content.includes([
+        '*Prices*',
+        '',
+        '| Item       | Price  |',
+        '| ---------- | ------ |',
+        '| Tea, green | 3 \\| 4 |',
+        '| "Coffee"   | 5      |'
+    ].join('\n')));
+});
+
+test('tables are exported as columns, rows and CSV', async () => {
+    const { document } = await extract(PRICES);
+    assert.deepStrictEqual(extractTables(document), [{
+        index: 0,
+        columns: ['Item', 'Price'],
+        rows: [['Tea, green', '3 | 4'], ['"Coffee"', '5']],
+        csv: 'Item,Price\r\n"Tea, green",3 | 4\r\n"""Coffee""",5',
+        caption: 'Prices'
+    }]);
+});
+
+test('a table without a header row exports no columns', async () => {
+    const { document, content } = await extract('<table><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></table>');
+    const [table] = extractTables(document);
+    assert.deepStrictEqual(table.columns, []);
+    assert.strictEqual(table.csv, 'a,b\r\nc,d');
+    // Markdown needs a header: the first row is promoted
+    assert.match(content, /\| a {3}\| b {3}\|\n\| --- \| --- \|\n\| c {3}\| d {3}\|/);
+});
+
+test('/api/extract returns the tables with tables: true', async t => {
+    const site = await startSite((req, res) => {
+        res.setHeader('content-type', 'text/html');
+        res.end(`<title>Prices</title>${PRICES}`);
+    });
+    const server = await startServer({ FETCH_ALLOWLIST: '127.0.0.1' });
+    t.after(async () => {
+        await server.stop();
+        await site.close();
+    });
+
+    const plain = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'http' });
+    assert.strictEqual(plain.json.tables, undefined);
+
+    const withTables = await server.api('POST', '/api/extract', { url: `${site.origin}/`, strategy: 'http', tables: true });
+    assert.strictEqual(withTables.status, 200);
+    assert.deepStrictEqual(withTables.json.tables.map(table => table.columns), [['Item', 'Price']]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { acquireHost, takeRequest } = require('../lib/throttle');
+const { startServer } = require('./support/server');
+
+test('a host gets at most its concurrency in requests at once', async () => {
+    const limits = { concurrency: 1, minDelayMs: 0 };
+    const release = await acquireHost('one.example.com', limits);
+
+    let granted = false;
+    const next = acquireHost('one.example.com', limits).then(releaseNext => {
+        granted = true;
+        return releaseNext;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(granted, false);
+
+    release();
+    (await next)();
+    assert.strictEqual(granted, true);
+});
+
+test('request starts to a host are spaced by minDelayMs', async () => {
+    const limits = { concurrency: 2, minDelayMs: 200 };
+    const started = Date.now();
+
+    (await acquireHost('spaced.example.com', limits))();
+    (await acquireHost('spaced.example.com', limits))();
+    assert.ok(Date.now() - started >= 190);
+});
+
+test('a request waiting for its host leaves the queue when aborted', async () => {
+    const limits = { concurrency: 1, minDelayMs: 0 };
+    const release = await acquireHost('busy.example.com', limits);
+    const controller = new AbortController();
+
+    const waiting = acquireHost('busy.example.com', limits, controller.signal);
+    controller.abort();
+    await assert.rejects(waiting, { name: 'AbortError' });
+
+    release();
+    (await acquireHost('busy.example.com', limits))();
+});
+
+test('a client window allows max requests', () => {
+    const limits = { max: 2, windowMs: 60000 };
+    assert.deepStrictEqual(takeRequest('client', limits), { allowed: true, remaining: 1, retryAfterS: 60 });
+    assert.strictEqual(takeRequest('client', limits).allowed, true);
+    assert.strictEqual(takeRequest('client', limits).allowed, false);
+    assert.strictEqual(takeRequest('other client', limits).allowed, true);
+});
+
+test('the extraction endpoints answer 429 past RATE_LIMIT_MAX', async t => {
+    const server = await startServer({ RATE_LIMIT_MAX: '2', RATE_LIMIT_WINDOW: '60' });
+    t.after(() => server.stop());
+
+    const first = await server.api('POST', '/api/extract', {});
+    assert.strictEqual(first.headers.get('ratelimit-limit'), '2');
+    assert.strictEqual(first.headers.get('ratelimit-remaining'), '1');
+    await server.api('POST', '/api/crawl', {});
+
+    const refused = await server.api('POST', '/api/extract/batch', {});
+    assert.strictEqual(refused.status, 429);
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+
+    // Other endpoints are not counted
+    assert.strictEqual((await server.api('GET', '/api/limits')).status, 200);
+});